@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import * as Location from 'expo-location';
+import { getGeocoder, DEFAULT_MAP_REGION } from './geocoding';
+import { isInDeliveryArea } from './functions/deliveryArea';
+
+// Lets the user drop a pin, then fills the address form from it.
+// onConfirm gets { street, barangay, city, province, zip, latitude, longitude }.
+const AddressMapPicker = ({ initialCoordinate, onConfirm, onCancel }) => {
+  const [pin, setPin] = useState(initialCoordinate || null);
+  const [region, setRegion] = useState(
+    initialCoordinate ? { ...DEFAULT_MAP_REGION, ...initialCoordinate } : DEFAULT_MAP_REGION
+  );
+  const [resolving, setResolving] = useState(false);
+
+  // Start at the user's location when there's no pin yet
+  useEffect(() => {
+    if (initialCoordinate) {
+      return;
+    }
+    Location.getForegroundPermissionsAsync()
+      .then(({ status }) => (status === 'granted' ? Location.getLastKnownPositionAsync() : null))
+      .then(position => {
+        if (position) {
+          const { latitude, longitude } = position.coords;
+          setRegion(current => ({ ...current, latitude, longitude }));
+        }
+      })
+      .catch(error => console.log("Could not get current location: ", error));
+  }, []);
+
+  const handleUseLocation = async () => {
+    if (!pin) {
+      Alert.alert("No Pin", "Tap the map to drop a pin on your address.");
+      return;
+    }
+    if (!isInDeliveryArea(pin)) {
+      Alert.alert("Outside Delivery Area", "Sorry, we don't deliver to this location yet.");
+      return;
+    }
+
+    setResolving(true);
+    try {
+      const fields = await getGeocoder().reverseGeocode(pin);
+      onConfirm({ ...fields, latitude: pin.latitude, longitude: pin.longitude });
+    } catch (error) {
+      console.error("Error looking up address: ", error);
+      Alert.alert("Error", `We couldn't look up this location: ${error.message}`);
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        style={styles.map}
+        region={region}
+        onRegionChangeComplete={setRegion}
+        onPress={(event) => setPin(event.nativeEvent.coordinate)}
+        showsUserLocation
+      >
+        {pin && (
+          <Marker
+            coordinate={pin}
+            draggable
+            onDragEnd={(event) => setPin(event.nativeEvent.coordinate)}
+          />
+        )}
+      </MapView>
+      <Text style={styles.hint}>Tap the map or drag the pin to your address</Text>
+      <View style={styles.actions}>
+        <TouchableOpacity onPress={onCancel} style={[styles.button, styles.cancelButton]}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={handleUseLocation} style={styles.button} disabled={resolving}>
+          {resolving ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.buttonText}>Use This Location</Text>}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 10,
+  },
+  map: {
+    height: 300,
+    borderRadius: 5,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#555',
+    marginVertical: 6,
+    textAlign: 'center',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  button: {
+    flex: 1,
+    padding: 10,
+    backgroundColor: '#007bff',
+    borderRadius: 5,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  cancelButton: {
+    backgroundColor: 'red',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
+
+export default AddressMapPicker;
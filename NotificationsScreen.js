@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, FlatList } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { auth } from '../config/firebase';
+import { useNavigation } from '@react-navigation/native';
+import { watchNotifications, markNotificationRead, markAllNotificationsRead } from './notifications';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const NotificationsScreen = () => {
+  const navigation = useNavigation();
+  const [notifications, setNotifications] = useState([]);
+  const userId = auth.currentUser?.uid;
+
+  useEffect(() => {
+    if (!userId) {
+      console.log("User ID is not defined.");
+      Alert.alert("Error", "User ID is not available.");
+      return undefined;
+    }
+
+    return watchNotifications(userId, setNotifications, (error) => {
+      console.error("Error fetching notifications: ", error);
+      Alert.alert("Error", `Error fetching notifications: ${error.message}`);
+    });
+  }, [userId]);
+
+  const handleOpen = (notification) => {
+    if (!notification.read) {
+      markNotificationRead(userId, notification.id)
+        .catch(error => console.error("Error marking notification read: ", error));
+    }
+    if (notification.data?.orderId) {
+      navigation.navigate('OrderTrackingScreen', { orderId: notification.data.orderId });
+    }
+  };
+
+  const handleMarkAllRead = () => {
+    markAllNotificationsRead(userId, notifications).catch(error => {
+      console.error("Error marking notifications read: ", error);
+      Alert.alert("Error", "There was an issue updating your notifications. Please try again.");
+    });
+  };
+
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="black" />
+        </TouchableOpacity>
+        {unreadCount > 0 && (
+          <TouchableOpacity onPress={handleMarkAllRead} style={styles.markAllButton}>
+            <Text style={styles.markAllText}>Mark all as read</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={notifications}
+        keyExtractor={(item) => item.id}
+        renderItem={({ item }) => (
+          <TouchableOpacity onPress={() => handleOpen(item)} style={[styles.entry, !item.read && styles.unread]}>
+            <View style={styles.entryDetails}>
+              <Text style={styles.entryTitle}>{item.title}</Text>
+              <Text style={styles.entryBody}>{item.body}</Text>
+              <Text style={styles.entryMeta}>{toDate(item.createdAt)?.toLocaleString()}</Text>
+            </View>
+            {!item.read && <View style={styles.unreadDot} />}
+          </TouchableOpacity>
+        )}
+        ListEmptyComponent={<Text style={styles.emptyText}>No notifications yet</Text>}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  backButton: {
+    padding: 16,
+  },
+  markAllButton: {
+    padding: 16,
+  },
+  markAllText: {
+    color: '#007bff',
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  unread: {
+    backgroundColor: '#eef5ff',
+  },
+  entryDetails: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  entryBody: {
+    fontSize: 14,
+    marginTop: 2,
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#555',
+    marginTop: 4,
+  },
+  unreadDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#007bff',
+    marginLeft: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: 'gray',
+    marginTop: 20,
+  },
+});
+
+export default NotificationsScreen;
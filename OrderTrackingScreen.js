@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ActivityIndicator, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { watchOrder, cancelOrder } from './orderService';
+import { subscribeToQueue, processQueue, dismissQueuedOrder } from './orderQueue';
+import { formatPrice } from './functions/money';
+import QRCode from 'react-native-qrcode-svg';
+import { FULFILMENT_STEPS, PICKUP_STEPS, ORDER_TRANSITIONS, CUSTOMER_CANCELLABLE } from './functions/orderStatus';
+import { getPickupQrValue } from './functions/stores';
+import { formatSlot } from './functions/deliverySlots';
+import { formatPaymentMethod } from './functions/orderSchema';
+import { hasReceipt } from './functions/receipt';
+import { shareReceipt, emailReceipt } from './receipts';
+import { useCartLoader } from './useCartLoader';
+
+const STATUS_ICONS = {
+  'Pending Payment': 'card',
+  Paid: 'cash',
+  Failed: 'close-circle',
+  Expired: 'time',
+  Pending: 'receipt',
+  Confirmed: 'checkmark-circle',
+  Packed: 'cube',
+  Shipped: 'car',
+  Delivered: 'home',
+  'Ready for Pickup': 'storefront',
+  Collected: 'bag-check',
+  Cancelled: 'ban',
+  Refunded: 'return-down-back',
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Orders placed before status history was kept only have their current status
+const getHistory = (order) => {
+  if (order.statusHistory?.length > 0) {
+    return [...order.statusHistory].sort((a, b) => toDate(a.at) - toDate(b.at));
+  }
+  return [{ status: order.status, at: order.createdAt, by: 'customer', note: null }];
+};
+
+// Fulfilment steps the order hasn't reached yet; none once it's cancelled, failed or finished
+const getUpcomingSteps = (status, steps) => {
+  if (!(ORDER_TRANSITIONS[status] || []).some(next => steps.includes(next))) {
+    return [];
+  }
+  const reached = steps.indexOf(status);
+  return steps.slice(reached === -1 ? 1 : reached + 1);
+};
+
+const OrderTrackingScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { orderId } = route.params;
+  const [order, setOrder] = useState(undefined);
+  const [cancelling, setCancelling] = useState(false);
+  const [queued, setQueued] = useState(null);
+  const [receiptAction, setReceiptAction] = useState(null); // 'share' or 'email' while it runs
+  const { loadCart, loadingCart } = useCartLoader();
+
+  useEffect(() => {
+    const unsubscribe = watchOrder(orderId, setOrder, (error) => {
+      console.error("Error watching order: ", error);
+      Alert.alert("Error", `Error loading your order: ${error.message}`);
+    });
+    return unsubscribe;
+  }, [orderId]);
+
+  // Orders placed offline only exist on the device until the queue sends them
+  useEffect(() => {
+    const unsubscribe = subscribeToQueue(queue => setQueued(queue.find(entry => entry.orderId === orderId) || null));
+    processQueue();
+    return unsubscribe;
+  }, [orderId]);
+
+  const handleCancelOrder = () => {
+    const refundNote = order.payment.checkoutId ? ` Your ${formatPaymentMethod(order.payment.method)} payment will be refunded.` : '';
+    Alert.alert(
+      "Cancel Order",
+      `Are you sure you want to cancel this order?${refundNote}`,
+      [
+        { text: "No", style: "cancel" },
+        { text: "Yes, Cancel", style: "destructive", onPress: async () => {
+          setCancelling(true);
+          try {
+            await cancelOrder(orderId);
+            Alert.alert("Order Cancelled", "Your order has been cancelled and any points used have been returned.");
+          } catch (error) {
+            console.error("Error cancelling order: ", error);
+            if (error.code === 'functions/failed-precondition') {
+              Alert.alert("Can't Cancel", error.message);
+            } else {
+              Alert.alert("Error", "There was an issue cancelling your order. Please try again.");
+            }
+          } finally {
+            setCancelling(false);
+          }
+        }},
+      ]
+    );
+  };
+
+  const handleShareReceipt = async () => {
+    setReceiptAction('share');
+    try {
+      await shareReceipt(orderId, order);
+    } catch (error) {
+      console.error("Error sharing receipt: ", error);
+      Alert.alert("Error", "There was an issue creating your receipt. Please try again.");
+    } finally {
+      setReceiptAction(null);
+    }
+  };
+
+  const handleEmailReceipt = async () => {
+    setReceiptAction('email');
+    try {
+      const sent = await emailReceipt(orderId);
+      Alert.alert(
+        sent ? "Receipt Sent" : "No Email Address",
+        sent ? "Your receipt has been sent to your email." : "Your account has no email address to send the receipt to."
+      );
+    } catch (error) {
+      console.error("Error emailing receipt: ", error);
+      Alert.alert("Error", "There was an issue sending your receipt. Please try again.");
+    } finally {
+      setReceiptAction(null);
+    }
+  };
+
+  if (!order && queued) {
+    const failed = queued.status === 'failed';
+    return (
+      <SafeAreaView style={styles.safeArea}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="black" />
+        </TouchableOpacity>
+        <View style={styles.content}>
+          <Text style={styles.orderId}>Order {orderId}</Text>
+          <Text style={styles.status}>{failed ? 'Not Placed' : 'Queued'}</Text>
+          <Text style={styles.queuedText}>
+            {failed
+              ? `We couldn't place this order: ${queued.error}`
+              : "You're offline. This order will be sent automatically when you're back online."}
+          </Text>
+          <Text style={styles.sectionHeader}>Items</Text>
+          {queued.order.items.map(item => (
+            <Text key={item.id} style={styles.itemText}>
+              {item.quantity} x {item.name}
+            </Text>
+          ))}
+          {failed ? (
+            <TouchableOpacity onPress={() => dismissQueuedOrder(orderId).then(() => navigation.goBack())} style={styles.cancelButton}>
+              <Text style={styles.buttonText}>Dismiss</Text>
+            </TouchableOpacity>
+          ) : (
+            <ActivityIndicator size="small" color="#007bff" style={styles.loading} />
+          )}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (order === undefined) {
+    return (
+      <SafeAreaView style={styles.safeArea}>
+        <ActivityIndicator size="large" color="#007bff" style={styles.loading} />
+      </SafeAreaView>
+    );
+  }
+
+  if (order === null) {
+    return (
+      <SafeAreaView style={styles.safeArea}>
+        <Text style={styles.emptyText}>Order not found</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const history = getHistory(order);
+  const { fulfilment, payment } = order;
+  const pickup = fulfilment.method === 'pickup';
+  const upcoming = getUpcomingSteps(order.status, pickup ? PICKUP_STEPS : FULFILMENT_STEPS);
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+        <Ionicons name="arrow-back" size={24} color="black" />
+      </TouchableOpacity>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.orderId}>Order {order.id}</Text>
+        <Text style={styles.status}>{order.status}</Text>
+
+        <View style={styles.timeline}>
+          {history.map((entry, index) => (
+            <View key={`${entry.status}-${index}`} style={styles.timelineRow}>
+              <Ionicons name={STATUS_ICONS[entry.status] || 'ellipse'} size={24} color="#007bff" />
+              <View style={styles.timelineDetails}>
+                <Text style={styles.timelineStatus}>{entry.status}</Text>
+                <Text style={styles.timelineMeta}>{toDate(entry.at)?.toLocaleString()}</Text>
+                {entry.note ? <Text style={styles.timelineMeta}>{entry.note}</Text> : null}
+              </View>
+            </View>
+          ))}
+          {upcoming.map(status => (
+            <View key={status} style={styles.timelineRow}>
+              <Ionicons name={STATUS_ICONS[status]} size={24} color="#ccc" />
+              <View style={styles.timelineDetails}>
+                <Text style={[styles.timelineStatus, styles.upcoming]}>{status}</Text>
+              </View>
+            </View>
+          ))}
+        </View>
+
+        <Text style={styles.sectionHeader}>Items</Text>
+        {order.items.map(item => (
+          <Text key={item.id} style={styles.itemText}>
+            {item.quantity} x {item.name}
+          </Text>
+        ))}
+        <Text style={styles.sectionHeader}>Total: {formatPrice(order.amounts.total)}</Text>
+        <Text style={styles.itemText}>Payment: {formatPaymentMethod(payment.method)} ({payment.status})</Text>
+        {pickup ? (
+          <>
+            <Text style={styles.itemText}>Pick up at: {fulfilment.storeName}, {fulfilment.storeAddress}</Text>
+            {!['Collected', 'Cancelled', 'Refunded'].includes(order.status) && (
+              <View style={styles.pickupCode}>
+                <QRCode value={getPickupQrValue(order.id, fulfilment.pickupCode)} size={160} />
+                <Text style={styles.pickupCodeText}>{fulfilment.pickupCode}</Text>
+                <Text style={styles.timelineMeta}>Show this code at the counter to collect your order</Text>
+              </View>
+            )}
+          </>
+        ) : (
+          <>
+            <Text style={styles.itemText}>Deliver to: {fulfilment.address}</Text>
+            {fulfilment.deliverySlot && <Text style={styles.itemText}>Delivery slot: {formatSlot(fulfilment.deliverySlot)}</Text>}
+          </>
+        )}
+        {payment.refund && (
+          <Text style={styles.itemText}>Refund of {formatPrice(payment.refund.amount)}: {payment.refund.status}</Text>
+        )}
+
+        {hasReceipt(order) && (
+          <View style={styles.receiptActions}>
+            <TouchableOpacity onPress={handleShareReceipt} style={styles.receiptButton} disabled={!!receiptAction}>
+              {receiptAction === 'share'
+                ? <ActivityIndicator size="small" color="#fff" />
+                : <Text style={styles.buttonText}>Share Receipt (PDF)</Text>}
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleEmailReceipt} style={styles.receiptButton} disabled={!!receiptAction}>
+              {receiptAction === 'email'
+                ? <ActivityIndicator size="small" color="#fff" />
+                : <Text style={styles.buttonText}>Email Receipt</Text>}
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Same items at today's prices, skipping anything that's no longer available */}
+        <TouchableOpacity
+          onPress={() => loadCart(order.items, { title: "Buy Again" })}
+          style={styles.buyAgainButton}
+          disabled={loadingCart}
+        >
+          {loadingCart ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.buttonText}>Buy Again</Text>}
+        </TouchableOpacity>
+
+        {CUSTOMER_CANCELLABLE.includes(order.status) && (
+          <TouchableOpacity onPress={handleCancelOrder} style={styles.cancelButton} disabled={cancelling}>
+            {cancelling ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.buttonText}>Cancel Order</Text>}
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  backButton: {
+    padding: 16,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  content: {
+    padding: 16,
+  },
+  orderId: {
+    fontSize: 14,
+    color: '#555',
+  },
+  status: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  timeline: {
+    marginVertical: 16,
+  },
+  timelineRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 8,
+  },
+  timelineDetails: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  timelineStatus: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  timelineMeta: {
+    fontSize: 12,
+    color: '#555',
+    marginTop: 2,
+  },
+  upcoming: {
+    color: '#aaa',
+    fontWeight: 'normal',
+  },
+  sectionHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  itemText: {
+    fontSize: 14,
+    marginBottom: 2,
+  },
+  receiptActions: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  receiptButton: {
+    flex: 1,
+    padding: 10,
+    backgroundColor: '#007bff',
+    borderRadius: 5,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  buyAgainButton: {
+    padding: 10,
+    backgroundColor: 'green',
+    borderRadius: 5,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  cancelButton: {
+    padding: 10,
+    backgroundColor: 'red',
+    borderRadius: 5,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  pickupCode: {
+    alignItems: 'center',
+    marginVertical: 16,
+  },
+  pickupCodeText: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    letterSpacing: 4,
+    marginTop: 12,
+  },
+  queuedText: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: 'gray',
+    marginTop: 20,
+  },
+});
+
+export default OrderTrackingScreen;
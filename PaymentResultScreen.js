@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { CartContext } from '../context/CartContext';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { PENDING_PAYMENT, watchPaymentStatus, refreshPaymentStatus } from './paymentStatus';
+import { getPaymentProvider } from './paymentProviders';
+
+const RESULTS = {
+  Paid: {
+    icon: 'checkmark-circle',
+    color: 'green',
+    title: 'Payment Confirmed',
+    message: 'Your payment was received and your order has been placed.',
+  },
+  Failed: {
+    icon: 'close-circle',
+    color: 'red',
+    title: 'Payment Failed',
+    message: 'Your payment did not go through. Your cart has been kept so you can try again.',
+  },
+  Expired: {
+    icon: 'time',
+    color: 'gray',
+    title: 'Payment Expired',
+    message: 'The payment link expired before it was paid. Your cart has been kept so you can try again.',
+  },
+  Cancelled: {
+    icon: 'close-circle',
+    color: 'gray',
+    title: 'Payment Cancelled',
+    message: 'Your order was cancelled before it was paid. Your cart has been kept so you can try again.',
+  },
+};
+
+const PaymentResultScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { orderId } = route.params;
+  const { clearCart } = useContext(CartContext);
+  const [status, setStatus] = useState(PENDING_PAYMENT);
+  const [paymentMethod, setPaymentMethod] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = watchPaymentStatus(
+      orderId,
+      (orderStatus, method) => {
+        setStatus(orderStatus || PENDING_PAYMENT);
+        setPaymentMethod(method || null);
+      },
+      (error) => {
+        console.error("Error watching payment: ", error);
+        Alert.alert("Error", "There was an issue checking your payment.");
+      }
+    );
+    return unsubscribe;
+  }, [orderId]);
+
+  useEffect(() => {
+    // The cart is only cleared once the payment is confirmed
+    if (status === 'Paid') {
+      clearCart();
+    }
+  }, [status]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    try {
+      setStatus(await refreshPaymentStatus(orderId));
+    } catch (error) {
+      console.error("Error refreshing payment: ", error);
+      Alert.alert("Error", "There was an issue checking your payment. Please try again.");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleCancel = () => {
+    Alert.alert(
+      "Cancel Payment",
+      "Are you sure you want to cancel this payment? Your order will be cancelled too.",
+      [
+        { text: "No", style: "cancel" },
+        { text: "Yes, Cancel", style: "destructive", onPress: async () => {
+          setCancelling(true);
+          try {
+            setStatus(await getPaymentProvider(paymentMethod).cancel(orderId));
+          } catch (error) {
+            console.error("Error cancelling payment: ", error);
+            Alert.alert("Error", "There was an issue cancelling your payment. Please try again.");
+          } finally {
+            setCancelling(false);
+          }
+        }},
+      ]
+    );
+  };
+
+  const result = RESULTS[status];
+  const provider = paymentMethod ? getPaymentProvider(paymentMethod) : null;
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.content}>
+        {result ? (
+          <>
+            <Ionicons name={result.icon} size={72} color={result.color} />
+            <Text style={styles.title}>{result.title}</Text>
+            <Text style={styles.message}>{result.message}</Text>
+          </>
+        ) : (
+          <>
+            <ActivityIndicator size="large" color="#007bff" />
+            <Text style={styles.title}>Waiting for Payment</Text>
+            <Text style={styles.message}>
+              We'll update this screen as soon as {provider ? provider.label : 'the payment provider'} confirms your payment.
+            </Text>
+            <TouchableOpacity onPress={handleRefresh} style={styles.secondaryButton} disabled={refreshing}>
+              {refreshing ? <ActivityIndicator size="small" color="#007bff" /> : <Text style={styles.secondaryButtonText}>Check Again</Text>}
+            </TouchableOpacity>
+            {provider && (
+              <TouchableOpacity onPress={handleCancel} style={[styles.secondaryButton, styles.cancelButton]} disabled={cancelling}>
+                {cancelling ? <ActivityIndicator size="small" color="red" /> : <Text style={styles.cancelButtonText}>Cancel Payment</Text>}
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+
+        {status === 'Paid' && (
+          <TouchableOpacity onPress={() => navigation.navigate('OrderTrackingScreen', { orderId })} style={styles.button}>
+            <Text style={styles.buttonText}>Track Order</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity onPress={() => navigation.navigate('HomeScreen')} style={styles.button}>
+          <Text style={styles.buttonText}>Back to Home</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  content: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 16,
+    color: '#555',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  button: {
+    padding: 10,
+    backgroundColor: '#007bff',
+    borderRadius: 5,
+    alignItems: 'center',
+    marginTop: 20,
+    alignSelf: 'stretch',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    padding: 10,
+    borderRadius: 5,
+    borderWidth: 1,
+    borderColor: '#007bff',
+    alignItems: 'center',
+    alignSelf: 'stretch',
+  },
+  secondaryButtonText: {
+    color: '#007bff',
+    fontWeight: 'bold',
+  },
+  cancelButton: {
+    borderColor: 'red',
+    marginTop: 10,
+  },
+  cancelButtonText: {
+    color: 'red',
+    fontWeight: 'bold',
+  },
+});
+
+export default PaymentResultScreen;
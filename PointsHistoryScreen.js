@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, FlatList } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { firestore, auth } from '../config/firebase';
+import { doc, collection, query, orderBy, onSnapshot } from 'firebase/firestore';
+import { useNavigation } from '@react-navigation/native';
+
+const ENTRY_LABELS = {
+  earn: 'Earned',
+  burn: 'Used',
+  refund: 'Refunded',
+  expire: 'Expired',
+  opening: 'Opening balance',
+  reversal: 'Reversed',
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const PointsHistoryScreen = () => {
+  const navigation = useNavigation();
+  const [user, setUser] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const userId = auth.currentUser?.uid;
+
+  useEffect(() => {
+    if (!userId) {
+      console.log("User ID is not defined.");
+      Alert.alert("Error", "User ID is not available.");
+      return undefined;
+    }
+
+    const userRef = doc(firestore, 'users', userId);
+    const unsubscribeUser = onSnapshot(userRef, (snapshot) => setUser(snapshot.data() || {}));
+    const unsubscribeLedger = onSnapshot(
+      query(collection(userRef, 'pointsLedger'), orderBy('createdAt', 'desc')),
+      (snapshot) => setEntries(snapshot.docs.map(entrySnap => ({ id: entrySnap.id, ...entrySnap.data() }))),
+      (error) => {
+        console.error("Error fetching points history: ", error);
+        Alert.alert("Error", `Error fetching points history: ${error.message}`);
+      }
+    );
+
+    return () => {
+      unsubscribeUser();
+      unsubscribeLedger();
+    };
+  }, [userId]);
+
+  // Lots expiring in the next 30 days, so the user can spend them first
+  const expiringSoon = entries
+    .filter(entry => entry.remaining > 0 && toDate(entry.expiresAt) - Date.now() < 30 * 24 * 60 * 60 * 1000)
+    .reduce((total, entry) => total + entry.remaining, 0);
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+        <Ionicons name="arrow-back" size={24} color="black" />
+      </TouchableOpacity>
+
+      <View style={styles.summary}>
+        <Text style={styles.balance}>{user?.points || 0} points</Text>
+        <Text style={styles.tier}>{user?.tier || 'Member'} tier</Text>
+        {expiringSoon > 0 && (
+          <Text style={styles.expiring}>{expiringSoon} points expire within 30 days</Text>
+        )}
+      </View>
+
+      <FlatList
+        data={entries}
+        keyExtractor={(item) => item.id}
+        renderItem={({ item }) => (
+          <View style={styles.entry}>
+            <View style={styles.entryDetails}>
+              <Text style={styles.entryType}>{ENTRY_LABELS[item.type] || item.type}</Text>
+              <Text style={styles.entryMeta}>
+                {toDate(item.createdAt)?.toLocaleDateString()}
+                {item.orderId ? ` · Order ${item.orderId}` : ''}
+              </Text>
+              {item.remaining > 0 && (
+                <Text style={styles.entryMeta}>{item.remaining} left, expires {toDate(item.expiresAt)?.toLocaleDateString()}</Text>
+              )}
+            </View>
+            <Text style={[styles.entryPoints, item.points < 0 ? styles.negative : styles.positive]}>
+              {item.points > 0 ? '+' : ''}{item.points}
+            </Text>
+          </View>
+        )}
+        ListEmptyComponent={<Text style={styles.emptyText}>No points activity yet</Text>}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  backButton: {
+    padding: 16,
+  },
+  summary: {
+    padding: 16,
+    backgroundColor: '#f5f5f5',
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  balance: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  tier: {
+    fontSize: 16,
+    color: '#007bff',
+    marginTop: 4,
+  },
+  expiring: {
+    fontSize: 14,
+    color: 'red',
+    marginTop: 8,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  entryDetails: {
+    flex: 1,
+  },
+  entryType: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#555',
+    marginTop: 2,
+  },
+  entryPoints: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  positive: {
+    color: 'green',
+  },
+  negative: {
+    color: 'red',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: 'gray',
+    marginTop: 20,
+  },
+});
+
+export default PointsHistoryScreen;
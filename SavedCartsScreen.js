@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, FlatList, TextInput, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { auth } from '../config/firebase';
+import { CartContext } from '../context/CartContext';
+import { useNavigation } from '@react-navigation/native';
+import {
+  SAVED_CART_NAME_LENGTH,
+  getSavedCartNameError,
+  watchSavedCarts,
+  saveCart,
+  updateSavedCart,
+  deleteSavedCart,
+} from './savedCarts';
+import { useCartLoader } from './useCartLoader';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const SavedCartsScreen = () => {
+  const navigation = useNavigation();
+  const { cartItems } = useContext(CartContext);
+  const [savedCarts, setSavedCarts] = useState([]);
+  const [name, setName] = useState('');
+  const [nameError, setNameError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { loadCart, loadingCart } = useCartLoader();
+  const userId = auth.currentUser?.uid;
+
+  useEffect(() => {
+    if (!userId) {
+      console.log("User ID is not defined.");
+      Alert.alert("Error", "User ID is not available.");
+      return undefined;
+    }
+
+    return watchSavedCarts(userId, setSavedCarts, (error) => {
+      console.error("Error fetching saved carts: ", error);
+      Alert.alert("Error", `Error fetching saved carts: ${error.message}`);
+    });
+  }, [userId]);
+
+  const handleSaveCart = async () => {
+    const error = getSavedCartNameError(name, savedCarts);
+    if (error) {
+      setNameError(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await saveCart(userId, name, cartItems, savedCarts);
+      setName('');
+      Alert.alert("Cart Saved", `Your cart has been saved as "${name.trim()}".`);
+    } catch (saveError) {
+      console.error("Error saving cart: ", saveError);
+      Alert.alert("Error", saveError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateCart = (savedCart) => {
+    Alert.alert(
+      "Update Saved Cart",
+      `Replace the items in "${savedCart.name}" with what's in your cart now?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Update", onPress: () => updateSavedCart(userId, savedCart.id, cartItems).catch(error => {
+          console.error("Error updating saved cart: ", error);
+          Alert.alert("Error", "There was an issue updating your saved cart. Please try again.");
+        }) },
+      ]
+    );
+  };
+
+  const handleDeleteCart = (savedCart) => {
+    Alert.alert(
+      "Delete Saved Cart",
+      `Delete "${savedCart.name}"?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Delete", style: "destructive", onPress: () => deleteSavedCart(userId, savedCart.id).catch(error => {
+          console.error("Error deleting saved cart: ", error);
+          Alert.alert("Error", "There was an issue deleting your saved cart. Please try again.");
+        }) },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+        <Ionicons name="arrow-back" size={24} color="black" />
+      </TouchableOpacity>
+
+      {cartItems.length > 0 && (
+        <View style={styles.saveForm}>
+          <Text style={styles.saveHeader}>Save your current cart ({cartItems.length} items)</Text>
+          <View style={styles.saveRow}>
+            <TextInput
+              style={[styles.nameInput, nameError && styles.nameInputError]}
+              placeholder="Name, e.g. Weekly groceries"
+              value={name}
+              onChangeText={(value) => {
+                setName(value);
+                setNameError(null);
+              }}
+              maxLength={SAVED_CART_NAME_LENGTH}
+            />
+            <TouchableOpacity onPress={handleSaveCart} style={styles.saveButton} disabled={saving}>
+              {saving ? <ActivityIndicator size="small" color="#fff" /> : <Text style={styles.buttonText}>Save</Text>}
+            </TouchableOpacity>
+          </View>
+          {nameError && <Text style={styles.errorText}>{nameError}</Text>}
+        </View>
+      )}
+
+      <FlatList
+        data={savedCarts}
+        keyExtractor={(item) => item.id}
+        renderItem={({ item }) => (
+          <View style={styles.entry}>
+            <View style={styles.entryDetails}>
+              <Text style={styles.entryName}>{item.name}</Text>
+              <Text style={styles.entryMeta}>
+                {item.items.reduce((count, line) => count + line.quantity, 0)} items
+                {toDate(item.updatedAt) ? ` · Saved ${toDate(item.updatedAt).toLocaleDateString()}` : ''}
+              </Text>
+              <Text style={styles.entryMeta} numberOfLines={1}>{item.items.map(line => line.name).join(', ')}</Text>
+            </View>
+            <TouchableOpacity
+              onPress={() => loadCart(item.items, { title: item.name })}
+              style={styles.checkoutButton}
+              disabled={loadingCart}
+            >
+              <Text style={styles.buttonText}>Checkout</Text>
+            </TouchableOpacity>
+            {cartItems.length > 0 && (
+              <TouchableOpacity onPress={() => handleUpdateCart(item)} style={styles.iconButton}>
+                <Ionicons name="refresh" size={22} color="#007bff" />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => handleDeleteCart(item)} style={styles.iconButton}>
+              <Ionicons name="trash" size={22} color="red" />
+            </TouchableOpacity>
+          </View>
+        )}
+        ListEmptyComponent={<Text style={styles.emptyText}>No saved carts yet</Text>}
+      />
+      {loadingCart && <ActivityIndicator style={styles.loading} />}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  backButton: {
+    padding: 16,
+  },
+  saveForm: {
+    padding: 16,
+    backgroundColor: '#f5f5f5',
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  saveHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  nameInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 5,
+    padding: 8,
+    backgroundColor: '#fff',
+  },
+  nameInputError: {
+    borderColor: 'red',
+  },
+  saveButton: {
+    padding: 10,
+    backgroundColor: '#007bff',
+    borderRadius: 5,
+    marginLeft: 8,
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ddd',
+  },
+  entryDetails: {
+    flex: 1,
+  },
+  entryName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#555',
+    marginTop: 2,
+  },
+  checkoutButton: {
+    padding: 8,
+    backgroundColor: 'green',
+    borderRadius: 5,
+    marginLeft: 8,
+  },
+  iconButton: {
+    padding: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: 'gray',
+    marginTop: 20,
+  },
+  loading: {
+    marginBottom: 20,
+  },
+});
+
+export default SavedCartsScreen;
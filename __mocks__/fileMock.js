@@ -0,0 +1,2 @@
+// Stands in for images (e.g. the payment provider icons) in tests
+module.exports = 'test-file-stub';
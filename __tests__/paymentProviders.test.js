@@ -0,0 +1,83 @@
+import { createPaymentProviders } from '../paymentProviders';
+
+jest.mock('../orderService', () => ({
+  placeOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+}));
+
+jest.mock('../checkoutService', () => ({
+  createCheckout: jest.fn(),
+}));
+
+jest.mock('../paymentStatus', () => ({
+  PENDING_PAYMENT: 'Pending Payment',
+  openPaymentCheckout: jest.fn(),
+  getPaymentReturnUrl: jest.fn(),
+  cancelPayment: jest.fn(),
+}));
+
+const createServices = () => ({
+  placeOrder: jest.fn(async ({ orderId }) => ({ orderId })),
+  cancelOrder: jest.fn(async () => 'Cancelled'),
+  createCheckout: jest.fn(async () => 'https://checkout.example/cs_1'),
+  openPaymentCheckout: jest.fn(async () => {}),
+  getPaymentReturnUrl: jest.fn((orderId) => `app://payment-result/${orderId}`),
+  cancelPayment: jest.fn(async () => 'Cancelled'),
+});
+
+const findProvider = (providers, id) => providers.find(provider => provider.id === id);
+
+describe('createPaymentProviders', () => {
+  const order = { orderId: 'order-1', userId: 'user-1', items: [] };
+
+  it('offers every payment method in checkout order', () => {
+    const providers = createPaymentProviders(createServices());
+    expect(providers.map(provider => provider.id)).toEqual(['cod', 'gcash', 'card', 'maya', 'points']);
+    expect(findProvider(providers, 'gcash').label).toBe('E-Wallet (GCash)');
+  });
+
+  it('lets the checkout pick points by itself', () => {
+    const providers = createPaymentProviders(createServices());
+    expect(providers.filter(provider => !provider.selectable).map(provider => provider.id)).toEqual(['points']);
+  });
+
+  it.each([['cod'], ['points']])('places %p orders with nothing left to pay at the gateway', async (id) => {
+    const services = createServices();
+    const provider = findProvider(createPaymentProviders(services), id);
+    expect(provider).toMatchObject({ needsConnection: false, canQueueOffline: true });
+
+    await provider.create(order);
+    expect(services.placeOrder).toHaveBeenCalledWith({ ...order, paymentMethod: id });
+    await expect(provider.confirm('order-1')).resolves.toEqual({ screen: 'OrderTrackingScreen', settled: true });
+    expect(services.createCheckout).not.toHaveBeenCalled();
+
+    await provider.cancel('order-1');
+    expect(services.cancelOrder).toHaveBeenCalledWith('order-1');
+    expect(services.cancelPayment).not.toHaveBeenCalled();
+  });
+
+  it.each([['gcash'], ['card'], ['maya']])('places %p orders pending payment and opens the gateway checkout', async (id) => {
+    const services = createServices();
+    const provider = findProvider(createPaymentProviders(services), id);
+    expect(provider).toMatchObject({ needsConnection: true, canQueueOffline: false });
+
+    await provider.create(order);
+    expect(services.placeOrder).toHaveBeenCalledWith({ ...order, paymentMethod: id, status: 'Pending Payment' });
+    await expect(provider.confirm('order-1')).resolves.toEqual({ screen: 'PaymentResultScreen', settled: false });
+    expect(services.createCheckout).toHaveBeenCalledWith('order-1', { returnUrl: 'app://payment-result/order-1' });
+    expect(services.openPaymentCheckout).toHaveBeenCalledWith('https://checkout.example/cs_1', 'order-1');
+
+    await provider.cancel('order-1');
+    expect(services.cancelPayment).toHaveBeenCalledWith('order-1');
+    expect(services.cancelOrder).not.toHaveBeenCalled();
+  });
+
+  it('does not open a checkout the server did not create', async () => {
+    const services = createServices();
+    services.createCheckout.mockResolvedValue(null);
+    const provider = findProvider(createPaymentProviders(services), 'card');
+
+    await expect(provider.confirm('order-1')).rejects.toThrow('Checkout URL is not available.');
+    expect(services.openPaymentCheckout).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+import { validateCart } from '../productCatalog';
+
+jest.mock('../../config/firebase', () => ({ firestore: {} }), { virtual: true });
+jest.mock('firebase/firestore', () => ({}), { virtual: true });
+jest.mock('../data', () => ({ products: [] }), { virtual: true });
+
+describe('validateCart', () => {
+  const catalog = {
+    1: { id: '1', name: 'Desk lamp', price: 'Php 500.00', stock: 3 },
+    2: { id: '2', name: 'Chair', price: 'Php 1,500.00', stock: 10 },
+  };
+
+  it('passes lines that are in stock at the price the shopper saw', () => {
+    const { issues, hasBlockingIssues } = validateCart([
+      { id: 1, price: 'Php 500.00', quantity: 3 },
+      { id: 2, price: 'Php 1,500.00', quantity: 1 },
+    ], catalog);
+    expect(issues).toEqual([]);
+    expect(hasBlockingIssues).toBe(false);
+  });
+
+  it('checks stock against the combined quantity of lines for the same product', () => {
+    const { lines, hasBlockingIssues } = validateCart([
+      { id: 1, price: 'Php 500.00', quantity: 2 },
+      { id: 2, price: 'Php 1,500.00', quantity: 1 },
+      { id: '1', price: 'Php 500.00', quantity: 2 },
+    ], catalog);
+    expect(lines.map(line => line.issue)).toEqual(['insufficientStock', null, 'insufficientStock']);
+    expect(lines[0].availableQuantity).toBe(3);
+    expect(hasBlockingIssues).toBe(true);
+  });
+
+  it('checks a store pickup against the store shelf', () => {
+    const cartItems = [{ id: 2, price: 'Php 1,500.00', quantity: 1 }, { id: 2, price: 'Php 1,500.00', quantity: 1 }];
+    expect(validateCart(cartItems, catalog, { storeStock: { 2: 2 } }).hasBlockingIssues).toBe(false);
+    expect(validateCart(cartItems, catalog, { storeStock: { 2: 1 } }).hasBlockingIssues).toBe(true);
+  });
+
+  it('flags missing products and price changes', () => {
+    const { lines, hasPriceChanges } = validateCart([
+      { id: 3, price: 'Php 100.00', quantity: 1 },
+      { id: 2, price: 'Php 1,200.00', quantity: 1 },
+    ], catalog);
+    expect(lines.map(line => line.issue)).toEqual(['missing', 'priceChanged']);
+    expect(lines[1].previousPrice).toBe(120000);
+    expect(hasPriceChanges).toBe(true);
+  });
+});
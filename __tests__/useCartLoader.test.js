@@ -0,0 +1,117 @@
+import React from 'react';
+import { create, act } from 'react-test-renderer';
+import { Alert } from 'react-native';
+import { getDoc, getDocs } from 'firebase/firestore';
+import { CartContext } from '../../context/CartContext';
+import { useCartLoader } from '../useCartLoader';
+
+const mockNavigate = jest.fn();
+
+jest.mock('react-native', () => ({ Alert: { alert: jest.fn() } }), { virtual: true });
+jest.mock('@react-navigation/native', () => ({ useNavigation: () => ({ navigate: mockNavigate }) }), { virtual: true });
+jest.mock('../../context/CartContext', () => ({ CartContext: require('react').createContext(null) }), { virtual: true });
+jest.mock('../../config/firebase', () => ({ firestore: {}, auth: { currentUser: { uid: 'user-1' } } }), { virtual: true });
+jest.mock('../data', () => ({ products: [] }), { virtual: true });
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  documentId: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  onSnapshot: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+}), { virtual: true });
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const PRODUCTS = {
+  1: { name: 'Desk lamp', price: 'Php 500.00', stock: 3 },
+  2: { name: 'Chair', price: 'Php 1,500.00', stock: 10 },
+};
+
+const LAMP = { id: '1', name: 'Desk lamp', price: 'Php 500.00', quantity: 1 };
+const CHAIR = { id: '2', name: 'Chair', price: 'Php 1,500.00', quantity: 2 };
+
+// Renders the hook inside a CartContext with only what the app's context offers
+const renderLoader = async (cartItems = []) => {
+  const clearCart = jest.fn();
+  const result = { current: null };
+  const Probe = () => {
+    result.current = useCartLoader();
+    return null;
+  };
+  await act(async () => {
+    create(React.createElement(CartContext.Provider, { value: { cartItems, clearCart } }, React.createElement(Probe)));
+  });
+  return { result, clearCart };
+};
+
+const loadCart = async (result, lines) => {
+  await act(async () => {
+    await result.current.loadCart(lines, { title: 'Buy Again' });
+  });
+};
+
+// Presses an alert button and waits for checkout to open
+const press = async (text) => {
+  const [, , buttons] = Alert.alert.mock.calls[Alert.alert.mock.calls.length - 1];
+  await act(async () => {
+    await buttons.find(button => button.text === text).onPress();
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getDocs.mockResolvedValue({
+    docs: Object.entries(PRODUCTS).map(([id, product]) => ({ id, data: () => product })),
+  });
+  getDoc.mockResolvedValue({ data: () => ({ points: 40 }) });
+});
+
+describe('useCartLoader', () => {
+  it("opens checkout with the lines at today's prices when the cart is empty", async () => {
+    const { result, clearCart } = await renderLoader();
+    await loadCart(result, [{ id: '1', name: 'Lamp', quantity: 1, unitPrice: 50000 }]);
+
+    expect(mockNavigate).toHaveBeenCalledWith('OrderScreen', { points: 40, cartItems: [LAMP] });
+    expect(Alert.alert).not.toHaveBeenCalled();
+    expect(clearCart).not.toHaveBeenCalled();
+  });
+
+  it('adds the lines to the cart, keeping what is there', async () => {
+    const { result, clearCart } = await renderLoader([{ ...CHAIR, quantity: 1 }]);
+    await loadCart(result, [{ id: '1', name: 'Lamp', quantity: 1 }, { id: '2', name: 'Chair', quantity: 1 }]);
+    await press('Add to Cart');
+
+    expect(mockNavigate).toHaveBeenCalledWith('OrderScreen', { points: 40, cartItems: [CHAIR, LAMP] });
+    expect(clearCart).not.toHaveBeenCalled();
+  });
+
+  it('replaces the cart with the lines', async () => {
+    const { result, clearCart } = await renderLoader([CHAIR]);
+    await loadCart(result, [{ id: '1', name: 'Lamp', quantity: 1 }]);
+    await press('Replace Cart');
+
+    expect(clearCart).toHaveBeenCalledTimes(1);
+    expect(mockNavigate).toHaveBeenCalledWith('OrderScreen', { points: 40, cartItems: [LAMP] });
+  });
+
+  it('says what changed before opening checkout', async () => {
+    const { result } = await renderLoader();
+    await loadCart(result, [{ id: '1', name: 'Lamp', quantity: 5 }, { id: '9', name: 'Old stool', quantity: 1 }]);
+
+    expect(mockNavigate).not.toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith('Some Items Changed', expect.stringContaining('Desk lamp: only 3 left'), expect.any(Array));
+    await press('OK');
+    expect(mockNavigate).toHaveBeenCalledWith('OrderScreen', { points: 40, cartItems: [{ ...LAMP, quantity: 3 }] });
+  });
+
+  it('does not open checkout when nothing can be ordered', async () => {
+    const { result } = await renderLoader();
+    await loadCart(result, [{ id: '9', name: 'Old stool', quantity: 1 }]);
+
+    expect(Alert.alert).toHaveBeenCalledWith('Buy Again', expect.stringContaining('None of these items can be ordered'));
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,756 @@
+import React from 'react';
+import { create, act } from 'react-test-renderer';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import axios from 'axios';
+import { placeOrder } from '../orderService';
+import { createCheckout } from '../checkoutService';
+import { openPaymentCheckout } from '../paymentStatus';
+import { getPaymentProvider } from '../paymentProviders';
+import {
+  EMPTY_SELECTIONS,
+  createCheckoutState,
+  getCheckoutSteps,
+  getNextCheckoutStep,
+  getPreviousCheckoutStep,
+  getCheckoutTransitionError,
+  toResumedStatus,
+  checkoutReducer,
+  clearSavedCheckout,
+  useCheckout,
+} from '../useCheckout';
+
+jest.mock('@react-native-async-storage/async-storage', () => {
+  const items = new Map();
+  return {
+    __esModule: true,
+    default: {
+      getItem: jest.fn(async (key) => (items.has(key) ? items.get(key) : null)),
+      setItem: jest.fn(async (key, value) => {
+        items.set(key, value);
+      }),
+      removeItem: jest.fn(async (key) => {
+        items.delete(key);
+      }),
+      clear: jest.fn(async () => {
+        items.clear();
+      }),
+    },
+  };
+});
+
+// Nothing in checkout may talk to a gateway from the app
+jest.mock('axios', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), get: jest.fn(), post: jest.fn() },
+}));
+
+jest.mock('../orderService', () => {
+  let lastId = 0;
+  return {
+    createOrderId: jest.fn(() => `checkout-${++lastId}`),
+    placeOrder: jest.fn(),
+    cancelOrder: jest.fn(),
+  };
+});
+
+jest.mock('../checkoutService', () => ({
+  createCheckout: jest.fn(),
+}));
+
+jest.mock('@react-native-community/netinfo', () => ({
+  __esModule: true,
+  default: { fetch: jest.fn(async () => ({ isConnected: false })), addEventListener: jest.fn() },
+}), { virtual: true });
+
+jest.mock('../paymentStatus', () => ({
+  PENDING_PAYMENT: 'Pending Payment',
+  openPaymentCheckout: jest.fn(),
+  getPaymentReturnUrl: jest.fn((orderId) => `app://payment-result/${orderId}`),
+  cancelPayment: jest.fn(),
+}));
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const USER_ID = 'user-1';
+const STORAGE_KEY = `checkout:v1:${USER_ID}`;
+
+const DELIVERY = { ...EMPTY_SELECTIONS, addressId: 'address-1', deliverySlotId: 'slot-1' };
+const PICKUP = { ...EMPTY_SELECTIONS, fulfilmentMethod: 'pickup', storeId: 'store-1' };
+
+const stateAt = (status, selections = DELIVERY, completed = []) => ({
+  ...createCheckoutState('checkout-0'),
+  status,
+  selections,
+  completed,
+});
+
+// Dispatches actions in order, like the hook does
+const run = (state, ...actions) => actions.reduce(checkoutReducer, state);
+
+const go = (to) => ({ type: 'go', to });
+
+const saveProgress = (saved) => AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ savedAt: Date.now(), ...saved }));
+
+// Renders the hook and returns a ref to its latest result
+const renderCheckout = async (userId = USER_ID) => {
+  const result = { current: null };
+  const Probe = () => {
+    result.current = useCheckout(userId);
+    return null;
+  };
+  let renderer;
+  await act(async () => {
+    renderer = create(React.createElement(Probe));
+  });
+  return { result, unmount: () => act(() => renderer.unmount()) };
+};
+
+const readSaved = async () => JSON.parse(await AsyncStorage.getItem(STORAGE_KEY));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+describe('getCheckoutSteps', () => {
+  it('goes through every step for deliveries', () => {
+    expect(getCheckoutSteps(DELIVERY)).toEqual(['address', 'fulfilment', 'payment', 'review']);
+  });
+
+  it('skips the delivery slot for store pickups', () => {
+    expect(getCheckoutSteps(PICKUP)).toEqual(['address', 'payment', 'review']);
+  });
+});
+
+describe('getNextCheckoutStep and getPreviousCheckoutStep', () => {
+  it('follow the steps for the selections', () => {
+    expect(getNextCheckoutStep('address', DELIVERY)).toBe('fulfilment');
+    expect(getNextCheckoutStep('address', PICKUP)).toBe('payment');
+    expect(getNextCheckoutStep('review', DELIVERY)).toBeNull();
+    expect(getPreviousCheckoutStep('payment', PICKUP)).toBe('address');
+    expect(getPreviousCheckoutStep('address', DELIVERY)).toBeNull();
+  });
+
+  it('go back from a failed order to payment, and nowhere while submitting', () => {
+    expect(getPreviousCheckoutStep('error', DELIVERY)).toBe('payment');
+    expect(getPreviousCheckoutStep('submitting', DELIVERY)).toBeNull();
+    expect(getPreviousCheckoutStep('done', DELIVERY)).toBeNull();
+  });
+});
+
+describe('getCheckoutTransitionError', () => {
+  it('allows moving on from a step whose choices are made', () => {
+    expect(getCheckoutTransitionError(stateAt('address'), 'fulfilment')).toBeNull();
+  });
+
+  it('says what is missing on the step being left', () => {
+    expect(getCheckoutTransitionError(stateAt('address', EMPTY_SELECTIONS), 'fulfilment')).toBe('Please select an address.');
+    expect(getCheckoutTransitionError(stateAt('address', { ...PICKUP, storeId: null }), 'payment')).toBe('Please select a store.');
+    expect(getCheckoutTransitionError(stateAt('fulfilment', { ...DELIVERY, deliverySlotId: null }, ['address']), 'payment'))
+      .toBe('Please choose a delivery date and time.');
+    expect(getCheckoutTransitionError(stateAt('payment', { ...DELIVERY, paymentMethod: null }, ['address', 'fulfilment']), 'review'))
+      .toBe('Please choose a payment method.');
+  });
+
+  it('refuses to skip a step that was never completed', () => {
+    expect(getCheckoutTransitionError(stateAt('address'), 'payment')).toBe('Please finish the delivery step first.');
+    expect(getCheckoutTransitionError(stateAt('address'), 'review')).toBe('Please finish the delivery step first.');
+  });
+
+  it('allows jumping ahead over completed steps', () => {
+    expect(getCheckoutTransitionError(stateAt('address', DELIVERY, ['address', 'fulfilment', 'payment']), 'review')).toBeNull();
+  });
+
+  it('allows going back to any earlier step', () => {
+    expect(getCheckoutTransitionError(stateAt('review', DELIVERY, ['address', 'fulfilment', 'payment']), 'address')).toBeNull();
+  });
+
+  it('refuses the delivery slot step for store pickups', () => {
+    expect(getCheckoutTransitionError(stateAt('address', PICKUP), 'fulfilment')).toBe('Store pickups have no delivery slot to choose.');
+  });
+
+  it('only submits from review or a failed order, with every step complete', () => {
+    const complete = ['address', 'fulfilment', 'payment'];
+    expect(getCheckoutTransitionError(stateAt('review', DELIVERY, complete), 'submitting')).toBeNull();
+    expect(getCheckoutTransitionError(stateAt('error', DELIVERY, complete), 'submitting')).toBeNull();
+    expect(getCheckoutTransitionError(stateAt('payment', DELIVERY, complete), 'submitting'))
+      .toBe("Checkout can't go from payment to submitting.");
+    expect(getCheckoutTransitionError(stateAt('review', DELIVERY, ['address']), 'submitting'))
+      .toBe('Please finish the delivery step first.');
+  });
+
+  it('only finishes or fails while submitting', () => {
+    expect(getCheckoutTransitionError(stateAt('submitting'), 'done')).toBeNull();
+    expect(getCheckoutTransitionError(stateAt('submitting'), 'error')).toBeNull();
+    expect(getCheckoutTransitionError(stateAt('review'), 'done')).toBe("Checkout can't go from review to done.");
+    expect(getCheckoutTransitionError(stateAt('done'), 'address')).toBe("Checkout can't go from done to address.");
+  });
+});
+
+describe('toResumedStatus', () => {
+  it('resumes at the saved step', () => {
+    expect(toResumedStatus('payment', DELIVERY, ['address', 'fulfilment'])).toBe('payment');
+  });
+
+  it('resumes an interrupted or failed order at review', () => {
+    const complete = ['address', 'fulfilment', 'payment'];
+    expect(toResumedStatus('submitting', DELIVERY, complete)).toBe('review');
+    expect(toResumedStatus('error', DELIVERY, complete)).toBe('review');
+  });
+
+  it('resumes at the first step that is missing a choice', () => {
+    expect(toResumedStatus('review', { ...DELIVERY, deliverySlotId: null }, ['address', 'fulfilment', 'payment'])).toBe('fulfilment');
+  });
+
+  it('resumes at the first step that was never completed', () => {
+    expect(toResumedStatus('review', DELIVERY, ['address'])).toBe('fulfilment');
+    expect(toResumedStatus('submitting', PICKUP, [])).toBe('address');
+  });
+
+  it('resumes a pickup saved on the slot step at review', () => {
+    expect(toResumedStatus('fulfilment', PICKUP, ['address', 'payment'])).toBe('review');
+  });
+});
+
+describe('checkoutReducer', () => {
+  it('starts at the address step with nothing chosen', () => {
+    expect(createCheckoutState('checkout-9')).toEqual({
+      status: 'address',
+      selections: EMPTY_SELECTIONS,
+      completed: [],
+      checkoutId: 'checkout-9',
+      attemptSent: false,
+      error: null,
+    });
+  });
+
+  it('completes each step as the shopper moves on', () => {
+    const state = run(stateAt('address'), go('fulfilment'), go('payment'), go('review'));
+    expect(state.status).toBe('review');
+    expect(state.completed).toEqual(['address', 'fulfilment', 'payment']);
+  });
+
+  it('does not complete a step when going back', () => {
+    const state = run(stateAt('address'), go('fulfilment'), go('address'));
+    expect(state.status).toBe('address');
+    expect(state.completed).toEqual(['address']);
+  });
+
+  it('ignores moves the transitions do not allow', () => {
+    const state = stateAt('address');
+    expect(run(state, go('review'))).toBe(state);
+    expect(run(state, go('done'))).toBe(state);
+  });
+
+  it('un-completes the changed step and every later one', () => {
+    const state = run(stateAt('review', DELIVERY, ['address', 'fulfilment', 'payment']), {
+      type: 'update',
+      fields: { deliverySlotId: 'slot-2' },
+    });
+    expect(state.selections.deliverySlotId).toBe('slot-2');
+    expect(state.completed).toEqual(['address']);
+  });
+
+  it('clears choices that depend on the changed one', () => {
+    const state = run(stateAt('review', { ...DELIVERY, pointsInput: '50' }, ['address', 'fulfilment', 'payment']), {
+      type: 'update',
+      fields: { fulfilmentMethod: 'pickup', storeId: 'store-1' },
+    });
+    expect(state.selections.deliverySlotId).toBeNull();
+    expect(state.selections.pointsInput).toBe('');
+    expect(state.completed).toEqual([]);
+  });
+
+  it('keeps steps complete when a review choice changes', () => {
+    const completed = ['address', 'fulfilment', 'payment'];
+    const state = run(stateAt('review', DELIVERY, completed), { type: 'update', fields: { promoCode: 'SALE10' } });
+    expect(state.selections.promoCode).toBe('SALE10');
+    expect(state.completed).toEqual(completed);
+  });
+
+  it('locks choices while the order is being sent and once it is done', () => {
+    const submitting = stateAt('submitting');
+    expect(run(submitting, { type: 'update', fields: { addressId: 'address-2' } })).toBe(submitting);
+    const done = stateAt('done');
+    expect(run(done, { type: 'update', fields: { addressId: 'address-2' } })).toBe(done);
+  });
+
+  it('keeps the checkout id for retries until a choice changes after an order was sent', () => {
+    const sent = run(stateAt('review', DELIVERY, ['address', 'fulfilment', 'payment']), go('submitting'), {
+      type: 'fail',
+      error: 'Network error',
+    });
+    expect(sent.attemptSent).toBe(true);
+    expect(run(sent, go('submitting')).checkoutId).toBe('checkout-0');
+
+    const changed = run(sent, { type: 'update', fields: { paymentMethod: 'gcash' }, nextCheckoutId: 'checkout-1' });
+    expect(changed.checkoutId).toBe('checkout-1');
+    expect(changed.attemptSent).toBe(false);
+  });
+
+  it('keeps the checkout id when only the day of slots on screen changes', () => {
+    const sent = { ...stateAt('error'), attemptSent: true };
+    const state = run(sent, { type: 'update', fields: { slotDate: '2026-10-20' }, nextCheckoutId: 'checkout-1' });
+    expect(state.checkoutId).toBe('checkout-0');
+  });
+
+  it('keeps the checkout id for changes made before any order was sent', () => {
+    const state = run(stateAt('review'), { type: 'update', fields: { paymentMethod: 'gcash' }, nextCheckoutId: 'checkout-1' });
+    expect(state.checkoutId).toBe('checkout-0');
+  });
+
+  it('fails only while submitting, keeping the error until the next move', () => {
+    const idle = stateAt('review');
+    expect(run(idle, { type: 'fail', error: 'Nope' })).toBe(idle);
+
+    const failed = run(stateAt('submitting'), { type: 'fail', error: 'Out of stock' });
+    expect(failed.status).toBe('error');
+    expect(failed.error).toBe('Out of stock');
+    expect(run(failed, go('address')).error).toBeNull();
+  });
+
+  it('restores saved progress at the step it can resume from', () => {
+    const state = run(createCheckoutState('checkout-new'), {
+      type: 'restore',
+      saved: { status: 'submitting', selections: DELIVERY, completed: ['address', 'fulfilment', 'payment'], checkoutId: 'checkout-old' },
+    });
+    expect(state).toEqual({
+      status: 'review',
+      selections: DELIVERY,
+      completed: ['address', 'fulfilment', 'payment'],
+      checkoutId: 'checkout-old',
+      attemptSent: true,
+      error: null,
+    });
+  });
+
+  it('fills in selections added since the progress was saved', () => {
+    const state = run(createCheckoutState('checkout-new'), {
+      type: 'restore',
+      saved: { status: 'address', selections: { addressId: 'address-1' }, checkoutId: 'checkout-old' },
+    });
+    expect(state.selections).toEqual({ ...EMPTY_SELECTIONS, addressId: 'address-1' });
+    expect(state.completed).toEqual([]);
+  });
+
+  it('renews the checkout id', () => {
+    const state = run({ ...stateAt('error'), attemptSent: true }, { type: 'renewCheckoutId', checkoutId: 'checkout-2' });
+    expect(state.checkoutId).toBe('checkout-2');
+    expect(state.attemptSent).toBe(false);
+  });
+
+  it('ignores unknown actions', () => {
+    const state = stateAt('address');
+    expect(run(state, { type: 'unknown' })).toBe(state);
+  });
+});
+
+describe('useCheckout', () => {
+  it('starts fresh when nothing was saved', async () => {
+    const { result } = await renderCheckout();
+    expect(result.current.restored).toBe(true);
+    expect(result.current.status).toBe('address');
+    expect(result.current.checkoutId).toMatch(/^checkout-/);
+  });
+
+  it('restores saved progress', async () => {
+    await saveProgress({
+      status: 'payment',
+      selections: DELIVERY,
+      completed: ['address', 'fulfilment'],
+      checkoutId: 'checkout-saved',
+    });
+    const { result } = await renderCheckout();
+    expect(result.current.status).toBe('payment');
+    expect(result.current.selections).toEqual(DELIVERY);
+    expect(result.current.checkoutId).toBe('checkout-saved');
+  });
+
+  it('drops saved progress older than a day', async () => {
+    await saveProgress({
+      status: 'payment',
+      selections: DELIVERY,
+      completed: ['address', 'fulfilment'],
+      checkoutId: 'checkout-saved',
+      savedAt: Date.now() - 25 * 60 * 60 * 1000,
+    });
+    const { result } = await renderCheckout();
+    expect(result.current.status).toBe('address');
+    expect(result.current.checkoutId).not.toBe('checkout-saved');
+  });
+
+  it('starts fresh when the saved progress cannot be read', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    AsyncStorage.getItem.mockRejectedValueOnce(new Error('Storage unavailable'));
+    const { result } = await renderCheckout();
+    expect(result.current.restored).toBe(true);
+    expect(result.current.status).toBe('address');
+    consoleError.mockRestore();
+  });
+
+  it('does nothing with storage without a user', async () => {
+    const { result } = await renderCheckout(null);
+    expect(result.current.restored).toBe(false);
+    expect(AsyncStorage.getItem).not.toHaveBeenCalled();
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it('saves each change', async () => {
+    const { result } = await renderCheckout();
+    await act(async () => {
+      result.current.update({ addressId: 'address-1' });
+    });
+    await act(async () => {
+      expect(result.current.next()).toBeNull();
+    });
+
+    expect(await readSaved()).toEqual(expect.objectContaining({
+      status: 'fulfilment',
+      selections: { ...EMPTY_SELECTIONS, addressId: 'address-1' },
+      completed: ['address'],
+      checkoutId: result.current.checkoutId,
+      attemptSent: false,
+    }));
+  });
+
+  it('does not overwrite saved progress before it has been restored', async () => {
+    await saveProgress({ status: 'payment', selections: DELIVERY, completed: ['address', 'fulfilment'], checkoutId: 'checkout-saved' });
+    await renderCheckout();
+    expect(AsyncStorage.setItem.mock.calls.every(([, value]) => JSON.parse(value).checkoutId === 'checkout-saved')).toBe(true);
+  });
+
+  it('returns why a move was refused without moving', async () => {
+    const { result } = await renderCheckout();
+    let error;
+    await act(async () => {
+      error = result.current.goTo('review');
+    });
+    expect(error).toBe('Please select an address.');
+    expect(result.current.status).toBe('address');
+    expect(result.current.canGoTo('fulfilment')).toBe(false);
+  });
+
+  it('goes back a step, and reports when there is none', async () => {
+    await saveProgress({ status: 'payment', selections: DELIVERY, completed: ['address', 'fulfilment'], checkoutId: 'checkout-saved' });
+    const { result } = await renderCheckout();
+    let wentBack;
+    await act(async () => {
+      wentBack = result.current.back();
+    });
+    expect(wentBack).toBe(true);
+    expect(result.current.status).toBe('fulfilment');
+
+    await act(async () => {
+      result.current.back();
+    });
+    await act(async () => {
+      wentBack = result.current.back();
+    });
+    expect(wentBack).toBe(false);
+    expect(result.current.status).toBe('address');
+  });
+
+  it('swallows back presses while the order is being sent', async () => {
+    await saveProgress({ status: 'review', selections: DELIVERY, completed: ['address', 'fulfilment', 'payment'], checkoutId: 'checkout-saved' });
+    const { result } = await renderCheckout();
+    await act(async () => {
+      result.current.goTo('submitting');
+    });
+    let wentBack;
+    await act(async () => {
+      wentBack = result.current.back();
+    });
+    expect(wentBack).toBe(true);
+    expect(result.current.status).toBe('submitting');
+  });
+
+  it('sees its own earlier calls within one handler', async () => {
+    await saveProgress({ status: 'review', selections: DELIVERY, completed: ['address', 'fulfilment', 'payment'], checkoutId: 'checkout-saved' });
+    const { result } = await renderCheckout();
+    await act(async () => {
+      result.current.goTo('submitting');
+      result.current.fail('Slot taken');
+      result.current.update({ deliverySlotId: null });
+      expect(result.current.goTo('fulfilment')).toBeNull();
+    });
+    expect(result.current.status).toBe('fulfilment');
+    expect(result.current.checkoutId).not.toBe('checkout-saved');
+  });
+
+  it('keeps the same actions across renders', async () => {
+    const { result } = await renderCheckout();
+    const { update, goTo, back } = result.current;
+    await act(async () => {
+      result.current.update({ addressId: 'address-1' });
+    });
+    expect(result.current.update).toBe(update);
+    expect(result.current.goTo).toBe(goTo);
+    expect(result.current.back).toBe(back);
+  });
+
+  it('renews the checkout id on request', async () => {
+    const { result } = await renderCheckout();
+    const { checkoutId } = result.current;
+    await act(async () => {
+      result.current.renewCheckoutId();
+    });
+    expect(result.current.checkoutId).not.toBe(checkoutId);
+    expect((await readSaved()).checkoutId).toBe(result.current.checkoutId);
+  });
+
+  it('clears saved progress with clearSavedCheckout', async () => {
+    await saveProgress({ status: 'payment', selections: DELIVERY, completed: [], checkoutId: 'checkout-saved' });
+    await clearSavedCheckout(USER_ID);
+    expect(await AsyncStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+});
+
+// Places the order from the hook's latest render
+const submit = (result, paymentMethod, options) => result.current.submit(
+  getPaymentProvider(paymentMethod),
+  { orderId: result.current.checkoutId, userId: USER_ID },
+  options
+);
+
+const readQueue = async () => JSON.parse((await AsyncStorage.getItem('orderQueue:v1')) || '[]');
+
+const networkError = () => Object.assign(new Error('Could not reach Cloud Firestore backend.'), { code: 'unavailable' });
+
+describe('placing the order', () => {
+  // Orders that don't go through are logged
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  const renderAtReview = async (selections = DELIVERY) => {
+    await saveProgress({
+      status: 'review',
+      selections,
+      completed: ['address', 'fulfilment', 'payment'],
+      checkoutId: 'checkout-saved',
+    });
+    return renderCheckout();
+  };
+
+  it('finishes a cash on delivery order and forgets the saved progress', async () => {
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 0, pointsEarned: 10, replayed: false });
+    const { result } = await renderAtReview();
+
+    await act(async () => {
+      await submit(result, 'cod');
+    });
+
+    expect(placeOrder).toHaveBeenCalledWith({ orderId: 'checkout-saved', userId: USER_ID, paymentMethod: 'cod' });
+    expect(createCheckout).not.toHaveBeenCalled();
+    expect(result.current.status).toBe('done');
+    expect(await AsyncStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+
+  it('finishes an online payment once the checkout page has been opened', async () => {
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 0, pointsEarned: 0, replayed: false });
+    createCheckout.mockResolvedValue('https://pay.example.com/checkout-saved');
+    const { result } = await renderAtReview({ ...DELIVERY, paymentMethod: 'gcash' });
+
+    await act(async () => {
+      await submit(result, 'gcash');
+    });
+
+    expect(placeOrder).toHaveBeenCalledWith(expect.objectContaining({ paymentMethod: 'gcash', status: 'Pending Payment' }));
+    expect(createCheckout).toHaveBeenCalledWith('checkout-saved', { returnUrl: 'app://payment-result/checkout-saved' });
+    expect(openPaymentCheckout).toHaveBeenCalledWith('https://pay.example.com/checkout-saved', 'checkout-saved');
+    expect(result.current.status).toBe('done');
+  });
+
+  it('fails when the order is refused, keeping the checkout id for a retry', async () => {
+    placeOrder.mockRejectedValue(new Error('Only 1 of Rice left in stock.'));
+    const { result } = await renderAtReview();
+
+    await act(async () => {
+      await submit(result, 'cod');
+    });
+
+    expect(result.current.status).toBe('error');
+    expect(result.current.error).toBe('Only 1 of Rice left in stock.');
+    expect(result.current.checkoutId).toBe('checkout-saved');
+    expect(await readSaved()).toEqual(expect.objectContaining({ status: 'error', checkoutId: 'checkout-saved', attemptSent: true }));
+  });
+
+  it('fails when the payment link cannot be created, and a retry reuses the checkout id', async () => {
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 0, pointsEarned: 0, replayed: false });
+    createCheckout.mockRejectedValueOnce(new Error('There was an issue creating the payment link.'));
+    createCheckout.mockResolvedValueOnce('https://pay.example.com/checkout-saved');
+    const { result } = await renderAtReview({ ...DELIVERY, paymentMethod: 'gcash' });
+
+    await act(async () => {
+      await submit(result, 'gcash');
+    });
+    expect(result.current.status).toBe('error');
+
+    await act(async () => {
+      await submit(result, 'gcash');
+    });
+    expect(placeOrder).toHaveBeenLastCalledWith(expect.objectContaining({ orderId: 'checkout-saved' }));
+    expect(result.current.status).toBe('done');
+  });
+
+  it('sends a changed order under a new checkout id after a failure', async () => {
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 0, pointsEarned: 0, replayed: false });
+    createCheckout.mockRejectedValue(new Error('There was an issue creating the payment link.'));
+    const { result } = await renderAtReview({ ...DELIVERY, paymentMethod: 'gcash' });
+
+    await act(async () => {
+      await submit(result, 'gcash');
+    });
+    await act(async () => {
+      result.current.update({ paymentMethod: 'cod' });
+    });
+    await act(async () => {
+      expect(result.current.goTo('payment')).toBeNull();
+      expect(result.current.goTo('review')).toBeNull();
+    });
+    await act(async () => {
+      await submit(result, 'cod');
+    });
+
+    expect(result.current.checkoutId).not.toBe('checkout-saved');
+    expect(placeOrder).toHaveBeenLastCalledWith(expect.objectContaining({ orderId: result.current.checkoutId, paymentMethod: 'cod' }));
+    expect(result.current.status).toBe('done');
+  });
+
+  it('resumes an order interrupted mid-send at review with the same checkout id', async () => {
+    await saveProgress({
+      status: 'submitting',
+      selections: DELIVERY,
+      completed: ['address', 'fulfilment', 'payment'],
+      checkoutId: 'checkout-saved',
+    });
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 0, pointsEarned: 0, replayed: true });
+    const { result } = await renderCheckout();
+    expect(result.current.status).toBe('review');
+
+    await act(async () => {
+      await submit(result, 'cod');
+    });
+    expect(placeOrder).toHaveBeenCalledWith(expect.objectContaining({ orderId: 'checkout-saved' }));
+    expect(result.current.status).toBe('done');
+  });
+
+  it('never calls a payment gateway from the app', async () => {
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 0, pointsEarned: 0, replayed: false });
+    createCheckout.mockResolvedValue('https://pay.example.com/checkout-saved');
+    const { result } = await renderAtReview({ ...DELIVERY, paymentMethod: 'gcash' });
+
+    await act(async () => {
+      await submit(result, 'gcash');
+    });
+    expect(axios.create).not.toHaveBeenCalled();
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('resolves to the placed order and where to go next', async () => {
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 5, pointsEarned: 10, replayed: false });
+    const { result } = await renderAtReview();
+
+    let outcome;
+    await act(async () => {
+      outcome = await submit(result, 'cod');
+    });
+    expect(outcome).toEqual({
+      result: 'placed',
+      orderId: 'checkout-saved',
+      pointsRedeemed: 5,
+      pointsEarned: 10,
+      replayed: false,
+      screen: 'OrderTrackingScreen',
+      settled: true,
+    });
+  });
+
+  it('resolves to the refusal so the screen can say why', async () => {
+    const error = Object.assign(new Error('Only 1 of Rice left in stock.'), { code: 'insufficient-stock' });
+    placeOrder.mockRejectedValue(error);
+    const { result } = await renderAtReview();
+
+    let outcome;
+    await act(async () => {
+      outcome = await submit(result, 'cod');
+    });
+    expect(outcome).toEqual({ result: 'refused', error });
+    expect(await readQueue()).toEqual([]);
+  });
+
+  it('does not send an order before checkout reaches review', async () => {
+    await saveProgress({ status: 'payment', selections: DELIVERY, completed: ['address', 'fulfilment'], checkoutId: 'checkout-saved' });
+    const { result } = await renderCheckout();
+
+    let outcome;
+    await act(async () => {
+      outcome = await submit(result, 'cod');
+    });
+    expect(outcome).toEqual({ result: 'blocked', error: "Checkout can't go from payment to submitting." });
+    expect(placeOrder).not.toHaveBeenCalled();
+    expect(result.current.status).toBe('payment');
+  });
+
+  it('queues the order on the device while offline', async () => {
+    const { result } = await renderAtReview();
+
+    let outcome;
+    await act(async () => {
+      outcome = await submit(result, 'cod', { online: false });
+    });
+    expect(outcome).toEqual({ result: 'queued', orderId: 'checkout-saved' });
+    expect(placeOrder).not.toHaveBeenCalled();
+    expect(await readQueue()).toEqual([expect.objectContaining({
+      orderId: 'checkout-saved',
+      order: { orderId: 'checkout-saved', userId: USER_ID, paymentMethod: 'cod' },
+      status: 'queued',
+    })]);
+    expect(result.current.status).toBe('done');
+  });
+
+  it('queues the order when the connection drops while sending', async () => {
+    placeOrder.mockRejectedValue(networkError());
+    const { result } = await renderAtReview();
+
+    let outcome;
+    await act(async () => {
+      outcome = await submit(result, 'cod');
+    });
+    expect(outcome).toEqual({ result: 'queued', orderId: 'checkout-saved' });
+    expect(await readQueue()).toEqual([expect.objectContaining({ orderId: 'checkout-saved' })]);
+    expect(result.current.status).toBe('done');
+  });
+
+  it('never queues an online payment', async () => {
+    const error = networkError();
+    placeOrder.mockRejectedValue(error);
+    const { result } = await renderAtReview({ ...DELIVERY, paymentMethod: 'gcash' });
+
+    let outcome;
+    await act(async () => {
+      outcome = await submit(result, 'gcash');
+    });
+    expect(outcome).toEqual({ result: 'refused', error });
+    expect(await readQueue()).toEqual([]);
+    expect(result.current.status).toBe('error');
+  });
+
+  it('fails when the payment cannot be taken', async () => {
+    placeOrder.mockResolvedValue({ orderId: 'checkout-saved', pointsRedeemed: 0, pointsEarned: 0, replayed: false });
+    createCheckout.mockResolvedValue(null);
+    const { result } = await renderAtReview({ ...DELIVERY, paymentMethod: 'gcash' });
+
+    let outcome;
+    await act(async () => {
+      outcome = await submit(result, 'gcash');
+    });
+    expect(outcome).toEqual({ result: 'failed', error: new Error('Checkout URL is not available.') });
+    expect(result.current.error).toBe('Checkout URL is not available.');
+  });
+});
@@ -0,0 +1,94 @@
+export const ADDRESS_LABELS = ['Home', 'Work'];
+
+export const EMPTY_ADDRESS = {
+  label: 'Home',
+  recipientName: '',
+  phone: '',
+  street: '',
+  barangay: '',
+  city: '',
+  province: '',
+  zip: '',
+  latitude: null, // Set when the address was pinned on the map
+  longitude: null,
+  isDefault: false,
+};
+
+const REQUIRED_FIELDS = {
+  recipientName: 'Recipient name',
+  phone: 'Phone number',
+  street: 'Street',
+  barangay: 'Barangay',
+  city: 'City/Municipality',
+  province: 'Province',
+  zip: 'ZIP code',
+};
+
+const PHONE_PATTERN = /^(09|\+639)\d{9}$/; // PH mobile, e.g. 09171234567 or +639171234567
+const ZIP_PATTERN = /^\d{4}$/;
+
+// Addresses saved before the address book only have a free-text `address`
+export const isLegacyAddress = (address) => !!address && typeof address.address === 'string' && !address.street;
+
+// Returns { field: message } for every invalid field; empty when the address can be saved
+export const validateAddress = (fields) => {
+  const errors = {};
+
+  Object.entries(REQUIRED_FIELDS).forEach(([field, name]) => {
+    if (!fields[field]?.trim()) {
+      errors[field] = `${name} is required.`;
+    }
+  });
+
+  const phone = fields.phone?.replace(/[\s-]/g, '');
+  if (phone && !PHONE_PATTERN.test(phone)) {
+    errors.phone = 'Enter a mobile number like 09171234567.';
+  }
+  if (fields.zip?.trim() && !ZIP_PATTERN.test(fields.zip.trim())) {
+    errors.zip = 'ZIP code must be 4 digits.';
+  }
+  if (!ADDRESS_LABELS.includes(fields.label)) {
+    errors.label = 'Choose a label.';
+  }
+
+  return errors;
+};
+
+export const normalizeAddress = (fields) => ({
+  label: fields.label,
+  recipientName: fields.recipientName.trim(),
+  phone: fields.phone.replace(/[\s-]/g, ''),
+  street: fields.street.trim(),
+  barangay: fields.barangay.trim(),
+  city: fields.city.trim(),
+  province: fields.province.trim(),
+  zip: fields.zip.trim(),
+  latitude: Number.isFinite(fields.latitude) ? fields.latitude : null,
+  longitude: Number.isFinite(fields.longitude) ? fields.longitude : null,
+  isDefault: !!fields.isDefault,
+});
+
+export const formatAddress = (address) => {
+  if (!address) {
+    return '';
+  }
+  if (isLegacyAddress(address)) {
+    return address.address;
+  }
+  return [address.street, `Brgy. ${address.barangay}`, address.city, address.province, address.zip].join(', ');
+};
+
+// Only one address can be the default
+export const setDefaultAddress = (addresses, addressId) =>
+  addresses.map(addr => ({ ...addr, isDefault: addr.id === addressId }));
+
+export const getDefaultAddress = (addresses) =>
+  addresses.find(addr => addr.isDefault) || addresses[0] || null;
+
+// Prefills the form when a legacy address is converted to a structured one
+export const toAddressForm = (address) => {
+  if (isLegacyAddress(address)) {
+    return { ...EMPTY_ADDRESS, street: address.address, isDefault: !!address.isDefault };
+  }
+  return { ...EMPTY_ADDRESS, ...address };
+};
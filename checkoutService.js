@@ -0,0 +1,8 @@
+import { callFunction } from './cloudFunctions';
+
+// The server prices the order from the catalog and holds the gateway keys; we only get the URL back.
+// `returnUrl` is where the checkout page sends the customer once they're done.
+export const createCheckout = async (orderId, { returnUrl } = {}) => {
+  const { checkoutUrl } = await callFunction('createCheckout', { orderId, returnUrl });
+  return checkoutUrl;
+};
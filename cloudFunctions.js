@@ -0,0 +1,16 @@
+import { firestore } from '../config/firebase';
+import { getFunctions, httpsCallable, connectFunctionsEmulator } from 'firebase/functions';
+
+const functions = getFunctions(firestore.app);
+
+// Set EXPO_PUBLIC_FUNCTIONS_EMULATOR_HOST=localhost:5001 to use the emulator (and with it the PayMongo stub)
+const emulatorHost = process.env.EXPO_PUBLIC_FUNCTIONS_EMULATOR_HOST;
+if (emulatorHost) {
+  const [host, port] = emulatorHost.split(':');
+  connectFunctionsEmulator(functions, host, Number(port));
+}
+
+export const callFunction = async (name, data) => {
+  const result = await httpsCallable(functions, name)(data);
+  return result.data;
+};
@@ -0,0 +1,25 @@
+import { firestore } from '../config/firebase';
+import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
+import { toDateKey, addDays } from './functions/deliverySlots';
+
+const BOOKING_WINDOW_DAYS = 7; // How far ahead customers can book
+
+// Calls onChange with the upcoming slots, earliest first, whenever one is booked or changed
+export const watchDeliverySlots = (onChange, onError) => {
+  const today = toDateKey();
+  return onSnapshot(
+    query(
+      collection(firestore, 'deliverySlots'),
+      where('date', '>=', today),
+      where('date', '<=', addDays(today, BOOKING_WINDOW_DAYS)),
+      orderBy('date')
+    ),
+    (snapshot) => onChange(
+      snapshot.docs
+        .map(slotSnap => ({ id: slotSnap.id, ...slotSnap.data() }))
+        .filter(slot => slot.active !== false)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start))
+    ),
+    onError
+  );
+};
@@ -0,0 +1,37 @@
+const { applyPoints } = require('../loyalty');
+
+describe('applyPoints', () => {
+  const settings = { pointValue: 1 };
+
+  it('redeems the requested points at the point value', () => {
+    expect(applyPoints(50, { balance: 100, amountDue: 10000, settings })).toEqual({ pointsRedeemed: 50, pointsDiscount: 5000 });
+  });
+
+  it('never redeems more than the balance', () => {
+    expect(applyPoints(500, { balance: 100, amountDue: 100000, settings })).toEqual({ pointsRedeemed: 100, pointsDiscount: 10000 });
+  });
+
+  it('only redeems what is needed to cover the amount due', () => {
+    expect(applyPoints(100, { balance: 100, amountDue: 2550, settings })).toEqual({ pointsRedeemed: 26, pointsDiscount: 2550 });
+  });
+
+  it('redeems nothing for a request that is not a positive number', () => {
+    expect(applyPoints(-5, { balance: 100, amountDue: 10000, settings })).toEqual({ pointsRedeemed: 0, pointsDiscount: 0 });
+    expect(applyPoints(NaN, { balance: 100, amountDue: 10000, settings })).toEqual({ pointsRedeemed: 0, pointsDiscount: 0 });
+  });
+
+  it('uses the default point value without settings', () => {
+    expect(applyPoints(10, { balance: 100, amountDue: 10000 })).toEqual({ pointsRedeemed: 10, pointsDiscount: 1000 });
+  });
+
+  it.each([
+    [0],
+    [-1],
+    [null],
+  ])('redeems nothing while a point is worth %p', (pointValue) => {
+    expect(applyPoints(50, { balance: 100, amountDue: 10000, settings: { pointValue } }))
+      .toEqual({ pointsRedeemed: 0, pointsDiscount: 0 });
+    expect(applyPoints(50, { balance: 100, amountDue: 0, settings: { pointValue } }))
+      .toEqual({ pointsRedeemed: 0, pointsDiscount: 0 });
+  });
+});
@@ -0,0 +1,141 @@
+const {
+  parsePrice,
+  fromPesos,
+  toPesos,
+  formatAmount,
+  formatPrice,
+  lineTotal,
+  sumCentavos,
+  percentOf,
+} = require('../money');
+
+describe('parsePrice', () => {
+  it.each([
+    ['0', 0],
+    ['.5', 50],
+    ['5.', 500],
+    ['99', 9900],
+    ['1,234.56', 123456],
+    ['Php 12,345.00', 1234500],
+    ['php 1.5', 150],
+    ['₱1,234,567.5', 123456750],
+    [' 42 ', 4200],
+    [0, 0],
+    [19.99, 1999],
+    [0.1 + 0.2, 30],
+    [1234567.89, 123456789],
+  ])('parses %p as %p centavos', (price, centavos) => {
+    expect(parsePrice(price)).toBe(centavos);
+  });
+
+  it.each([
+    ['12.345'],
+    [19.999],
+    [0.001],
+    ['-5'],
+    ['Php -1.00'],
+    [-5],
+    ['abc'],
+    ['12abc'],
+    ['1.2.3'],
+    ['.'],
+    [''],
+    ['Php'],
+    [null],
+    [undefined],
+    [NaN],
+    [Infinity],
+  ])('returns null for %p', (price) => {
+    expect(parsePrice(price)).toBeNull();
+  });
+});
+
+describe('fromPesos', () => {
+  it('rounds to the nearest centavo', () => {
+    expect(fromPesos(12.345)).toBe(1235);
+    expect(fromPesos('50')).toBe(5000);
+  });
+
+  it('treats missing or non-numeric amounts as zero', () => {
+    expect(fromPesos(undefined)).toBe(0);
+    expect(fromPesos('abc')).toBe(0);
+  });
+});
+
+describe('toPesos', () => {
+  it.each([
+    [0, 0],
+    [50, 0.5],
+    [123456, 1234.56],
+    [-150, -1.5],
+  ])('converts %p centavos to %p pesos', (centavos, pesos) => {
+    expect(toPesos(centavos)).toBe(pesos);
+  });
+});
+
+describe('formatAmount', () => {
+  it.each([
+    [0, '0.00'],
+    [5, '0.05'],
+    [50, '0.50'],
+    [123456, '1234.56'],
+    [-150, '-1.50'],
+    [-5, '-0.05'],
+    [99.6, '1.00'],
+  ])('formats %p as %p', (centavos, amount) => {
+    expect(formatAmount(centavos)).toBe(amount);
+  });
+});
+
+describe('formatPrice', () => {
+  it.each([
+    [0, 'Php 0.00'],
+    [50, 'Php 0.50'],
+    [99900, 'Php 999.00'],
+    [100000, 'Php 1,000.00'],
+    [123456789, 'Php 1,234,567.89'],
+    [-123456, 'Php -1,234.56'],
+  ])('formats %p as %p', (centavos, price) => {
+    expect(formatPrice(centavos)).toBe(price);
+  });
+
+  it('round-trips with parsePrice', () => {
+    expect(parsePrice(formatPrice(123456789))).toBe(123456789);
+  });
+});
+
+describe('lineTotal', () => {
+  it('multiplies the unit price by the quantity', () => {
+    expect(lineTotal(1999, 3)).toBe(5997);
+  });
+
+  it('is zero for a zero quantity or a free item', () => {
+    expect(lineTotal(1999, 0)).toBe(0);
+    expect(lineTotal(0, 5)).toBe(0);
+  });
+
+  it('keeps exact centavos where pesos would drift', () => {
+    expect(lineTotal(parsePrice('0.10'), 3)).toBe(30);
+  });
+});
+
+describe('sumCentavos', () => {
+  it('adds up centavo amounts', () => {
+    expect(sumCentavos([10, 20, 30])).toBe(60);
+  });
+
+  it('is zero for no amounts', () => {
+    expect(sumCentavos([])).toBe(0);
+  });
+
+  it('handles negative amounts like discounts', () => {
+    expect(sumCentavos([10000, -2500, 500])).toBe(8000);
+  });
+});
+
+describe('percentOf', () => {
+  it('rounds to the nearest centavo', () => {
+    expect(percentOf(999, 10)).toBe(100);
+    expect(percentOf(12345, 12.5)).toBe(1543);
+  });
+});
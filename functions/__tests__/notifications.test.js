@@ -0,0 +1,154 @@
+const admin = require('firebase-admin');
+const { notifyOrderEvents } = require('../notifications');
+const { createMemoryPushTransport, setPushTransport } = require('../push');
+
+// Just enough of Firestore for the inbox and the user's push tokens
+jest.mock('firebase-admin', () => {
+  const docs = new Map();
+  const applyUpdate = (current, fields) => Object.entries(fields).reduce((data, [field, value]) => ({
+    ...data,
+    [field]: value?.arrayRemove ? (data[field] || []).filter(item => !value.arrayRemove.includes(item)) : value,
+  }), current);
+  const docRef = (path) => ({
+    collection: (name) => collectionRef(`${path}/${name}`),
+    get: async () => ({ exists: docs.has(path), data: () => docs.get(path) }),
+    create: async (data) => {
+      if (docs.has(path)) {
+        throw Object.assign(new Error('Document already exists'), { code: 6 });
+      }
+      docs.set(path, data);
+    },
+    update: async (fields) => {
+      docs.set(path, applyUpdate(docs.get(path), fields));
+    },
+  });
+  const collectionRef = (path) => ({ doc: (id) => docRef(`${path}/${id}`) });
+
+  const firestore = () => ({ collection: collectionRef });
+  firestore.FieldValue = {
+    serverTimestamp: () => 'server-timestamp',
+    arrayRemove: (...values) => ({ arrayRemove: values }),
+  };
+  return { firestore, docs };
+});
+
+const USER_ID = 'user-1';
+const PHONE = 'ExponentPushToken[phone]';
+const TABLET = 'ExponentPushToken[tablet]';
+
+const order = (status, fields = {}) => ({
+  userId: USER_ID,
+  status,
+  amounts: { total: 123450 },
+  pointsEarned: 0,
+  fulfilment: { method: 'delivery' },
+  ...fields,
+});
+
+const inbox = () => Array.from(admin.docs.entries())
+  .filter(([path]) => path.startsWith(`users/${USER_ID}/notifications/`))
+  .map(([path, data]) => ({ id: path.split('/').pop(), ...data }));
+
+let transport;
+
+beforeEach(() => {
+  admin.docs.clear();
+  admin.docs.set(`users/${USER_ID}`, { expoPushTokens: [PHONE] });
+  transport = createMemoryPushTransport();
+  setPushTransport(transport);
+});
+
+describe('notifyOrderEvents', () => {
+  it('tells the customer an order was placed', async () => {
+    await notifyOrderEvents('order-1', undefined, order('Pending'));
+    expect(transport.sent).toEqual([{
+      to: PHONE,
+      title: 'Order placed',
+      body: "Thanks! We've received order order-1.",
+      data: { orderId: 'order-1', notificationId: 'order-1-orderPlaced' },
+      sound: 'default',
+    }]);
+    expect(inbox()).toEqual([expect.objectContaining({
+      id: 'order-1-orderPlaced',
+      type: 'orderPlaced',
+      read: false,
+      push: { sent: 1, failed: 0 },
+    })]);
+  });
+
+  it('asks for the payment of an order placed online', async () => {
+    await notifyOrderEvents('order-1', undefined, order('Pending Payment'));
+    expect(transport.sent[0].body).toBe('Order order-1 is waiting for your payment of Php 1,234.50.');
+  });
+
+  it.each([
+    ['Pending Payment', 'Paid', 'Payment confirmed', "We've received your payment of Php 1,234.50 for order order-1."],
+    ['Pending Payment', 'Failed', 'Payment not completed', "The payment for order order-1 didn't go through, so the order was cancelled."],
+    ['Pending Payment', 'Expired', 'Payment not completed', 'The payment for order order-1 timed out, so the order was cancelled.'],
+    ['Packed', 'Shipped', 'Order shipped', 'Order order-1 is on its way.'],
+    ['Shipped', 'Delivered', 'Order delivered', 'Order order-1 has been delivered. Enjoy!'],
+    ['Ready for Pickup', 'Collected', 'Order collected', 'Order order-1 has been collected. Enjoy!'],
+  ])('tells the customer when an order goes from %p to %p', async (from, to, title, body) => {
+    await notifyOrderEvents('order-1', order(from), order(to));
+    expect(transport.sent).toEqual([expect.objectContaining({ title, body })]);
+  });
+
+  it('tells the customer where to pick up an order', async () => {
+    const fulfilment = { method: 'pickup', storeName: 'SM Megamall' };
+    await notifyOrderEvents('order-1', order('Packed', { fulfilment }), order('Ready for Pickup', { fulfilment }));
+    expect(transport.sent).toEqual([expect.objectContaining({
+      title: 'Ready for pickup',
+      body: 'Order order-1 is ready at SM Megamall. Show your pickup code at the counter.',
+    })]);
+  });
+
+  it('tells the customer about the points an order earned', async () => {
+    await notifyOrderEvents('order-1', order('Pending Payment'), order('Paid', { pointsEarned: 12 }));
+    expect(transport.sent.map(message => message.title)).toEqual(['Payment confirmed', 'Points earned']);
+    expect(transport.sent[1].body).toBe('You earned 12 points on order order-1.');
+  });
+
+  it('sends nothing for a rewrite that leaves the status alone', async () => {
+    const before = order('Paid', { pointsEarned: 12 });
+    await notifyOrderEvents('order-1', before, { ...before, schemaVersion: 2, userName: 'Juan' });
+    expect(transport.sent).toEqual([]);
+    expect(inbox()).toEqual([]);
+  });
+
+  it('sends nothing for status changes the customer is not told about', async () => {
+    await notifyOrderEvents('order-1', order('Pending'), order('Confirmed'));
+    await notifyOrderEvents('order-1', order('Confirmed'), order('Packed'));
+    expect(transport.sent).toEqual([]);
+  });
+
+  it('sends nothing when the order is deleted', async () => {
+    await notifyOrderEvents('order-1', order('Cancelled'), undefined);
+    expect(transport.sent).toEqual([]);
+  });
+
+  it('sends each event once when the trigger is retried', async () => {
+    await notifyOrderEvents('order-1', order('Packed'), order('Shipped'));
+    await notifyOrderEvents('order-1', order('Packed'), order('Shipped'));
+    expect(transport.sent).toHaveLength(1);
+  });
+
+  it('pushes to every device and forgets the ones Expo no longer knows', async () => {
+    admin.docs.set(`users/${USER_ID}`, { expoPushTokens: [PHONE, TABLET, 'not-a-token'] });
+    transport = createMemoryPushTransport({ failTokens: [TABLET] });
+    setPushTransport(transport);
+
+    await notifyOrderEvents('order-1', order('Packed'), order('Shipped'));
+    expect(transport.sent.map(message => message.to)).toEqual([PHONE, TABLET]);
+    expect(admin.docs.get(`users/${USER_ID}`).expoPushTokens).toEqual([PHONE, 'not-a-token']);
+    expect(inbox()[0].push).toEqual({ sent: 1, failed: 1 });
+  });
+
+  it('keeps the inbox entry when the push cannot be sent', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    setPushTransport({ send: jest.fn().mockRejectedValue(new Error('Expo is down')) });
+
+    await notifyOrderEvents('order-1', order('Packed'), order('Shipped'));
+    expect(inbox()).toEqual([expect.objectContaining({ type: 'orderShipped', push: { sent: 0, failed: null, error: 'Expo is down' } })]);
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,45 @@
+const { ORDER_SCHEMA_VERSION, upgradeOrder, getOrderErrors } = require('../orderSchema');
+
+describe('upgradeOrder', () => {
+  const legacyOrder = {
+    userId: 'user-1',
+    userName: 'Juan',
+    status: 'Pending Payment',
+    createdAt: new Date(0),
+    items: [{ id: 1, name: 'Desk lamp', price: 'Php 500.00', quantity: 2 }],
+    total: '1100.00',
+    paymentMethod: 'E-Wallet (Gcash)',
+    address: '123 Rizal St, Makati',
+    deliverySlot: null,
+    paymongoLinkId: 'link_1',
+    paymongoReferenceNumber: 'ref-1',
+  };
+
+  it('moves a version 1 order into the current shape', () => {
+    const order = upgradeOrder(legacyOrder);
+    expect(order.schemaVersion).toBe(ORDER_SCHEMA_VERSION);
+    expect(order.amounts).toEqual({ subtotal: 100000, deliveryFee: 10000, discount: 0, pointsDiscount: 0, total: 110000 });
+    expect(order.fulfilment).toEqual({ method: 'delivery', address: '123 Rizal St, Makati', shippingAddress: null, deliverySlot: null });
+    expect(getOrderErrors(order)).toEqual([]);
+  });
+
+  it('turns the PayMongo link into the gateway checkout', () => {
+    const { payment } = upgradeOrder(legacyOrder);
+    expect(payment).toEqual({ method: 'gcash', status: 'pending', checkoutId: 'link_1', referenceNumber: 'ref-1' });
+    expect(payment).not.toHaveProperty('paymongoLinkId');
+  });
+
+  it('carries a refund request over to the checkout', () => {
+    const { payment } = upgradeOrder({
+      ...legacyOrder,
+      status: 'Cancelled',
+      refundRequest: { status: 'requested', amount: 110000, paymongoLinkId: 'link_1', paymongoReferenceNumber: 'ref-1' },
+    });
+    expect(payment.refund).toEqual({ status: 'requested', amount: 110000, checkoutId: 'link_1', referenceNumber: 'ref-1' });
+  });
+
+  it('leaves current orders alone', () => {
+    const order = upgradeOrder(legacyOrder);
+    expect(upgradeOrder(order)).toBe(order);
+  });
+});
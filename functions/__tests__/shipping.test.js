@@ -0,0 +1,86 @@
+const {
+  SHIPPING_ZONES,
+  getShippingZone,
+  getItemWeight,
+  calculateShippingFee,
+} = require('../shipping');
+
+describe('getShippingZone', () => {
+  it.each([
+    [{ province: 'Metro Manila', city: 'Makati' }, 'Metro Manila'],
+    [{ province: 'NCR', city: 'Quezon City' }, 'Metro Manila'],
+    [{ province: 'National Capital Region', city: 'City of San Juan' }, 'Metro Manila'],
+    [{ province: 'Laguna', city: 'Santa Rosa' }, 'Luzon'],
+    [{ province: 'Cebu', city: 'Cebu City' }, 'Visayas'],
+    [{ province: 'Davao del Sur', city: 'Davao City' }, 'Mindanao'],
+    [{ province: ' CEBU ', city: '' }, 'Visayas'],
+  ])('puts %p in %p', (address, zone) => {
+    expect(getShippingZone(address)).toBe(zone);
+  });
+
+  it.each([
+    [{ province: 'Batangas', city: 'San Juan' }, 'Luzon'],
+    [{ province: 'La Union', city: 'San Juan' }, 'Luzon'],
+    [{ province: 'Siquijor', city: 'San Juan' }, 'Visayas'],
+    [{ province: 'Bukidnon', city: 'Quezon' }, 'Mindanao'],
+    [{ province: 'Isabela', city: 'Quezon' }, 'Luzon'],
+    [{ province: 'Nueva Ecija', city: 'Quezon' }, 'Luzon'],
+  ])('goes by the province for %p, whose city shares a Metro Manila name', (address, zone) => {
+    expect(getShippingZone(address)).toBe(zone);
+  });
+
+  it('goes by the city when there is no province', () => {
+    expect(getShippingZone({ province: '', city: 'Las Piñas' })).toBe('Metro Manila');
+    expect(getShippingZone({ city: 'Taguig City' })).toBe('Metro Manila');
+  });
+
+  it.each([
+    [{ province: '', city: 'Cebu City' }],
+    [{ province: 'Atlantis', city: 'Makati' }],
+    [{ province: 'Atlantis', city: 'Nowhere' }],
+    [{ address: '123 Rizal St, Makati' }],
+    [null],
+  ])('returns null for %p', (address) => {
+    expect(getShippingZone(address)).toBeNull();
+  });
+});
+
+describe('getItemWeight', () => {
+  it('uses the default weight for items without one', () => {
+    expect(getItemWeight({})).toBe(0.5);
+  });
+
+  it('charges bulky items by size', () => {
+    expect(getItemWeight({ weight: 1, dimensions: { length: 50, width: 35, height: 10 } })).toBe(5);
+    expect(getItemWeight({ weight: 2, dimensions: { length: 10, width: 10, height: 10 } })).toBe(2);
+  });
+});
+
+describe('calculateShippingFee', () => {
+  const items = [{ weight: 1.2, quantity: 2 }];
+
+  it('charges the zone base for the first kilo and the per-kilo rate after it', () => {
+    const { base, perKg } = SHIPPING_ZONES.Luzon;
+    expect(calculateShippingFee({ address: { province: 'Laguna' }, items, subtotal: 100000 }))
+      .toEqual({ zone: 'Luzon', weight: 3, fee: base + perKg * 2, freeShipping: false });
+  });
+
+  it('ships free at the zone threshold', () => {
+    const { freeShippingMin } = SHIPPING_ZONES.Visayas;
+    expect(calculateShippingFee({ address: { province: 'Cebu' }, items, subtotal: freeShippingMin }))
+      .toEqual({ zone: 'Visayas', weight: 3, fee: 0, freeShipping: true });
+  });
+
+  it('charges San Juan, Batangas at Luzon rates, not Metro Manila ones', () => {
+    const subtotal = SHIPPING_ZONES['Metro Manila'].freeShippingMin;
+    const shipping = calculateShippingFee({ address: { province: 'Batangas', city: 'San Juan' }, items, subtotal });
+    expect(shipping.zone).toBe('Luzon');
+    expect(shipping.freeShipping).toBe(false);
+    expect(shipping.fee).toBe(SHIPPING_ZONES.Luzon.base + SHIPPING_ZONES.Luzon.perKg * 2);
+  });
+
+  it('charges nothing for addresses outside every zone', () => {
+    expect(calculateShippingFee({ address: { province: 'Atlantis' }, items, subtotal: 0 }))
+      .toEqual({ zone: null, weight: 0, fee: 0, freeShipping: false });
+  });
+});
@@ -0,0 +1,124 @@
+const admin = require('firebase-admin');
+const { parsePrice, lineTotal, sumCentavos } = require('./money');
+const { calculateShippingFee } = require('./shipping');
+const { getDeliveryAreaError } = require('./deliveryArea');
+const { getPromotionError, calculateDiscount } = require('./promotions');
+const { applyPoints } = require('./loyalty');
+const { getRedeemedPoints } = require('./ledger');
+
+const db = () => admin.firestore();
+
+// The address fields the delivery fee depends on
+const PRICING_FIELDS = ['province', 'city', 'latitude', 'longitude'];
+
+// The address to price delivery to: the customer's saved address the order was placed to, which has to agree
+// with the copy on the order
+const getPricingAddress = (order, userSnap) => {
+  const { shippingAddress } = order.fulfilment;
+  const saved = (userSnap.data()?.addresses || []).find(address => address.id === shippingAddress?.id);
+  if (!saved || PRICING_FIELDS.some(field => (saved[field] ?? null) !== (shippingAddress[field] ?? null))) {
+    throw new Error("Order's shipping address doesn't match any of the customer's saved addresses");
+  }
+  return saved;
+};
+
+// The promotion the order redeemed. The order transaction writes `redemptions/{orderId}` in the same write that
+// counts the code against its limits, so only the dates and minimum spend are checked again here.
+const getRedeemedPromotion = async (orderSnap, subtotal) => {
+  const { promotionId, userId, createdAt } = orderSnap.data();
+  const promotionRef = db().collection('promotions').doc(promotionId);
+  const [promotionSnap, redemptionSnap] = await db().getAll(promotionRef, promotionRef.collection('redemptions').doc(orderSnap.id));
+  if (!redemptionSnap.exists || redemptionSnap.data().userId !== userId) {
+    throw new Error(`Order ${orderSnap.id} has promotion ${promotionId} but never redeemed it`);
+  }
+
+  const promotion = promotionSnap.exists ? promotionSnap.data() : null;
+  const promotionError = getPromotionError(promotion && { ...promotion, usedCount: 0 }, {
+    subtotal,
+    now: createdAt.toMillis(), // A code that was valid when the order was placed stays valid for it
+  });
+  if (promotionError) {
+    throw new Error(`Promotion ${promotionId} doesn't apply to order ${orderSnap.id}: ${promotionError}`);
+  }
+  return promotion;
+};
+
+// Prices an order from the catalog, the shipping rules, its redeemed promotion and the
+// points burned for it, ignoring whatever the client wrote on it: the points come from the user's ledger,
+// the promotion from its redemption and the address from the user's address book.
+// Returns { subtotal, deliveryFee, discount, pointsDiscount, total } in centavos.
+const priceOrder = async (orderSnap) => {
+  const order = orderSnap.data();
+  const { items, fulfilment } = order;
+  const userRef = db().collection('users').doc(order.userId);
+  const productRefs = items.map(item => db().collection('products').doc(item.id.toString()));
+  const productSnaps = await db().getAll(...productRefs);
+
+  const products = productSnaps.map((snap, index) => {
+    const product = snap.exists ? snap.data() : {};
+    const unitPrice = parsePrice(product.price);
+    if (unitPrice === null) {
+      throw new Error(`Product ${items[index].id} has no catalog price`);
+    }
+    return { ...product, unitPrice };
+  });
+
+  const subtotal = sumCentavos(products.map((product, index) => lineTotal(product.unitPrice, items[index].quantity)));
+
+  // Store pickups have no address and no delivery fee
+  const pickup = fulfilment.method === 'pickup';
+  const address = pickup ? null : getPricingAddress(order, await userRef.get());
+  const deliveryAreaError = pickup ? null : getDeliveryAreaError(address);
+  if (deliveryAreaError) {
+    throw new Error(`Order has no deliverable shipping address: ${deliveryAreaError}`);
+  }
+  const shipping = calculateShippingFee({
+    address,
+    items: products.map((product, index) => ({
+      weight: product.weight,
+      dimensions: product.dimensions,
+      quantity: items[index].quantity,
+    })),
+    subtotal,
+  });
+  const deliveryFee = pickup ? 0 : shipping.fee;
+
+  let discount = 0;
+  if (order.promotionId) {
+    const promotion = await getRedeemedPromotion(orderSnap, subtotal);
+    discount = calculateDiscount(promotion, {
+      items: products.map((product, index) => ({
+        id: items[index].id,
+        unitPrice: product.unitPrice,
+        quantity: items[index].quantity,
+      })),
+      subtotal,
+      deliveryFee,
+    });
+  }
+
+  // Points were already taken from the balance, so only the count is clamped, not the balance
+  let pointsDiscount = 0;
+  if (order.pointsRedeemed) {
+    const pointsRedeemed = await getRedeemedPoints(userRef, orderSnap.id);
+    if (pointsRedeemed !== order.pointsRedeemed) {
+      throw new Error(`Order ${orderSnap.id} claims ${order.pointsRedeemed} points but burned ${pointsRedeemed}`);
+    }
+    const settingsSnap = await db().collection('settings').doc('loyalty').get();
+    pointsDiscount = applyPoints(pointsRedeemed, {
+      balance: pointsRedeemed,
+      amountDue: subtotal + deliveryFee - discount,
+      settings: settingsSnap.data(),
+    }).pointsDiscount;
+  }
+
+  return {
+    subtotal,
+    deliveryFee,
+    discount,
+    pointsDiscount,
+    total: subtotal + deliveryFee - discount - pointsDiscount,
+  };
+};
+
+module.exports = { priceOrder };
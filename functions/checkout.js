@@ -0,0 +1,51 @@
+const admin = require('firebase-admin');
+const { getGateway } = require('./gateways');
+const { closeCheckout } = require('./payments');
+const { priceOrder } = require('./catalog');
+const { formatAmount } = require('./money');
+
+// Creates the gateway checkout for an order that is waiting for payment, with whichever gateway its
+// payment method uses. The amount always comes from the catalog, shipping rules, promotion and points,
+// and the order totals are overwritten to match.
+// Retried or concurrent calls for the same order all get the same checkout.
+const createCheckoutForOrder = async (orderSnap, { returnUrl } = {}) => {
+  const { payment } = orderSnap.data();
+  const gateway = getGateway(payment.method);
+
+  if (payment.checkoutId) {
+    return payment.checkoutUrl || (await gateway.getCheckout(payment.checkoutId)).checkoutUrl;
+  }
+
+  const amounts = await priceOrder(orderSnap);
+  const checkout = await gateway.createCheckout({
+    orderId: orderSnap.id,
+    amount: amounts.total,
+    description: `Order ${orderSnap.id}`,
+    returnUrl,
+  });
+
+  // If another call saved its checkout first, keep that one and cancel ours
+  const saved = await admin.firestore().runTransaction(async (transaction) => {
+    const latestSnap = await transaction.get(orderSnap.ref);
+    const savedPayment = latestSnap.data().payment;
+    if (savedPayment.checkoutId) {
+      return savedPayment;
+    }
+    transaction.update(orderSnap.ref, {
+      amounts,
+      total: formatAmount(amounts.total),
+      'payment.checkoutId': checkout.checkoutId,
+      'payment.checkoutUrl': checkout.checkoutUrl,
+      'payment.referenceNumber': checkout.referenceNumber,
+    });
+    return checkout;
+  });
+
+  if (saved.checkoutId !== checkout.checkoutId) {
+    await closeCheckout(orderSnap.ref, { method: payment.method, checkoutId: checkout.checkoutId, amount: amounts.total });
+    return saved.checkoutUrl || (await gateway.getCheckout(saved.checkoutId)).checkoutUrl;
+  }
+  return checkout.checkoutUrl;
+};
+
+module.exports = { createCheckoutForOrder };
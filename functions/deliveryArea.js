@@ -0,0 +1,39 @@
+// Where we deliver, shared by the address step and the checkout function.
+// An address is deliverable when its province maps to a shipping zone and, if it was pinned on the map,
+// its coordinates fall inside one of these areas. Bounds are rough boxes around each island group.
+const { getShippingZone } = require('./shipping');
+
+const DELIVERY_AREAS = [
+  { name: 'Metro Manila', north: 14.78, south: 14.35, east: 121.14, west: 120.9 },
+  { name: 'Luzon', north: 18.7, south: 12.0, east: 124.5, west: 119.5 },
+  { name: 'Visayas', north: 12.7, south: 9.0, east: 126.0, west: 121.8 },
+  { name: 'Mindanao', north: 10.0, south: 4.5, east: 126.7, west: 119.3 },
+];
+
+const hasCoordinates = (address) =>
+  Number.isFinite(address?.latitude) && Number.isFinite(address?.longitude);
+
+const isInDeliveryArea = ({ latitude, longitude }) =>
+  DELIVERY_AREAS.some(area =>
+    latitude <= area.north && latitude >= area.south && longitude <= area.east && longitude >= area.west
+  );
+
+// Returns why we can't deliver to the address, or null when we can
+const getDeliveryAreaError = (address) => {
+  if (!getShippingZone(address)) {
+    return address?.province
+      ? "Sorry, we don't deliver to this province. Please check the province on this address."
+      : 'We need the province and city to work out the delivery fee. Please update this address first.';
+  }
+  if (hasCoordinates(address) && !isInDeliveryArea(address)) {
+    return "Sorry, this location is outside our delivery area.";
+  }
+  return null;
+};
+
+module.exports = {
+  DELIVERY_AREAS,
+  hasCoordinates,
+  isInDeliveryArea,
+  getDeliveryAreaError,
+};
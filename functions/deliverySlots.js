@@ -0,0 +1,77 @@
+// Delivery slot rules shared by the delivery step, the order transaction and the functions that release slots.
+//
+// A `deliverySlots/{id}` document looks like:
+//   { date: '2026-10-20', start: '09:00', end: '12:00', capacity: 20, reserved: 3, active: true }
+//
+// Dates and times are Philippine time. Each order reserves one place in its slot; `reserved` goes back
+// down when the order is cancelled or its payment fails.
+
+const SLOT_CUTOFF_MINUTES = 120; // Slots stop taking orders this long before they start
+const MANILA_OFFSET = '+08:00';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// '2026-10-20' for the given moment in Philippine time
+const toDateKey = (date = new Date()) => new Date(date.getTime() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const getSlotStart = (slot) => new Date(`${slot.date}T${slot.start}:00${MANILA_OFFSET}`);
+
+const isSlotFull = (slot) => (slot.reserved || 0) >= (slot.capacity || 0);
+
+const isSlotClosed = (slot, now = Date.now()) =>
+  getSlotStart(slot).getTime() - SLOT_CUTOFF_MINUTES * 60 * 1000 <= now;
+
+// Returns why the slot can't take this order, or null when it can
+const getSlotError = (slot, { now = Date.now() } = {}) => {
+  if (!slot || slot.active === false) {
+    return 'This delivery slot is no longer available.';
+  }
+  if (isSlotClosed(slot, now)) {
+    return 'This delivery slot has closed. Please choose a later one.';
+  }
+  if (isSlotFull(slot)) {
+    return 'This delivery slot is full. Please choose another one.';
+  }
+  return null;
+};
+
+// "09:30" -> "9:30 AM"
+const formatTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+// "Tue, Oct 20"
+const formatSlotDate = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  return `${WEEKDAYS[date.getUTCDay()]}, ${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+};
+
+// "9:00 AM - 12:00 PM"
+const formatSlotWindow = (slot) => `${formatTime(slot.start)} - ${formatTime(slot.end)}`;
+
+const formatSlot = (slot) => `${formatSlotDate(slot.date)}, ${formatSlotWindow(slot)}`;
+
+// What the order keeps of its slot, so it still reads right if the slot document changes
+const toOrderSlot = (slotId, slot) => ({ id: slotId, date: slot.date, start: slot.start, end: slot.end });
+
+module.exports = {
+  SLOT_CUTOFF_MINUTES,
+  toDateKey,
+  addDays,
+  isSlotFull,
+  isSlotClosed,
+  getSlotError,
+  formatTime,
+  formatSlotDate,
+  formatSlotWindow,
+  formatSlot,
+  toOrderSlot,
+};
@@ -0,0 +1,102 @@
+const paymongo = require('./paymongo');
+const maya = require('./maya');
+const { ONLINE_PAYMENT_METHODS } = require('./orderSchema');
+
+// The server side of each payment method that is paid online. Every gateway has the same interface,
+// so checkout.js and payments.js don't need to know which one an order uses:
+//   createCheckout({ orderId, amount, description, returnUrl }) -> { checkoutId, checkoutUrl, referenceNumber }
+//   getCheckout(checkoutId) -> { status: 'pending' | 'paid' | 'failed' | 'expired', checkoutUrl }
+//   cancelCheckout(checkoutId) -> true once the checkout can no longer be paid, false if it stays payable
+//                                 until the gateway expires it (payments.js watches those for late payments)
+// Amounts are centavos. `returnUrl` is where the checkout page sends the customer back to the app.
+
+// PayMongo checkout sessions limited to `paymentMethodTypes`.
+// Orders from before checkout sessions were used have a payment link instead ('link_...').
+const createPaymongoGateway = (paymentMethodTypes) => ({
+  createCheckout: async ({ orderId, amount, description, returnUrl }) => {
+    const session = await paymongo.createCheckoutSession({
+      amount,
+      description,
+      referenceNumber: orderId,
+      paymentMethodTypes,
+      successUrl: returnUrl,
+      cancelUrl: returnUrl,
+    });
+    return {
+      checkoutId: session.id,
+      checkoutUrl: session.attributes.checkout_url,
+      referenceNumber: session.attributes.reference_number,
+    };
+  },
+
+  getCheckout: async (checkoutId) => {
+    if (checkoutId.startsWith('link_')) {
+      const link = await paymongo.getLink(checkoutId);
+      return {
+        status: link.attributes.status === 'paid' ? 'paid' : 'pending',
+        checkoutUrl: link.attributes.checkout_url,
+      };
+    }
+
+    const session = await paymongo.getCheckoutSession(checkoutId);
+    const paid = (session.attributes.payments || []).some(payment => payment.attributes?.status === 'paid');
+    return {
+      status: paid ? 'paid' : session.attributes.status === 'expired' ? 'expired' : 'pending',
+      checkoutUrl: session.attributes.checkout_url,
+    };
+  },
+
+  cancelCheckout: async (checkoutId) => {
+    await (checkoutId.startsWith('link_')
+      ? paymongo.archiveLink(checkoutId)
+      : paymongo.expireCheckoutSession(checkoutId));
+    return true;
+  },
+});
+
+const MAYA_STATUSES = {
+  PAYMENT_SUCCESS: 'paid',
+  PAYMENT_FAILED: 'failed',
+  PAYMENT_EXPIRED: 'expired',
+  PAYMENT_CANCELLED: 'failed',
+};
+
+const mayaGateway = {
+  createCheckout: async ({ orderId, amount, description, returnUrl }) => {
+    const checkout = await maya.createCheckout({
+      amount,
+      description,
+      requestReferenceNumber: orderId,
+      redirectUrl: returnUrl,
+    });
+    return { checkoutId: checkout.checkoutId, checkoutUrl: checkout.redirectUrl, referenceNumber: orderId };
+  },
+
+  getCheckout: async (checkoutId) => {
+    const checkout = await maya.getCheckout(checkoutId);
+    return { status: MAYA_STATUSES[checkout.paymentStatus] || 'pending', checkoutUrl: null };
+  },
+
+  // Maya checkouts can't be closed early; they stay payable until they expire on their own
+  cancelCheckout: async () => false,
+};
+
+let gateways = {
+  gcash: createPaymongoGateway(['gcash']),
+  card: createPaymongoGateway(['card']),
+  maya: mayaGateway,
+};
+
+const getGateway = (method) => {
+  if (!ONLINE_PAYMENT_METHODS.includes(method) || !gateways[method]) {
+    throw new Error(`No payment gateway for ${method} orders`);
+  }
+  return gateways[method];
+};
+
+// Replaces gateways by payment method, e.g. with mocks in tests
+const setGateways = (overrides) => {
+  gateways = { ...gateways, ...overrides };
+};
+
+module.exports = { createPaymongoGateway, getGateway, setGateways };
@@ -0,0 +1,271 @@
+const admin = require('firebase-admin');
+const { onRequest, onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { defineSecret } = require('firebase-functions/params');
+const { createCheckoutForOrder } = require('./checkout');
+const { expirePoints, reconcileRecentPoints } = require('./ledger');
+const { transitionOrder, cancelOrder, refundOrder } = require('./orders');
+const { sendReceiptEmail } = require('./receiptEmails');
+const { buildPackingSlip, renderPackingSlipHtml } = require('./packingSlip');
+const { notifyOrderEvents } = require('./notifications');
+const {
+  PENDING_PAYMENT,
+  EVENT_STATUSES,
+  verifySignature,
+  findOrderForResource,
+  settlePayment,
+  refreshPayment,
+  cancelPayment,
+  checkOpenCheckouts,
+} = require('./payments');
+
+admin.initializeApp();
+
+// Set with `firebase functions:secrets:set`; the emulator reads them from .secret.local
+const paymongoSecretKey = defineSecret('PAYMONGO_SECRET_KEY');
+const paymongoWebhookSecret = defineSecret('PAYMONGO_WEBHOOK_SECRET');
+const mayaPublicKey = defineSecret('MAYA_PUBLIC_KEY');
+const mayaSecretKey = defineSecret('MAYA_SECRET_KEY');
+const smtpUrl = defineSecret('SMTP_URL');
+
+// Everything that talks to a payment gateway needs all of their keys, since any order may use any gateway
+const gatewaySecrets = [paymongoSecretKey, mayaPublicKey, mayaSecretKey];
+
+const RECONCILE_WINDOW_MS = 25 * 60 * 60 * 1000;
+
+const getOwnOrder = async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You need to be signed in.');
+  }
+
+  const orderSnap = await admin.firestore().collection('orders').doc(String(request.data?.orderId)).get();
+  if (!orderSnap.exists || orderSnap.data().userId !== request.auth.uid) {
+    throw new HttpsError('not-found', 'Order not found.');
+  }
+  return orderSnap;
+};
+
+// Staff move orders through fulfilment (Confirmed, Packed, Shipped, Delivered), cancel them or mark them Refunded.
+// Cancelling and refunding give back stock, points and the promo code like the customer's cancelOrder does.
+// Needs the `staff` custom claim, set with the Admin SDK.
+exports.updateOrderStatus = onCall(async (request) => {
+  if (!request.auth?.token?.staff) {
+    throw new HttpsError('permission-denied', 'Only staff can update orders.');
+  }
+
+  const { orderId, status, note } = request.data || {};
+  const orderRef = admin.firestore().collection('orders').doc(String(orderId));
+  try {
+    if (status === 'Cancelled') {
+      return { status: await cancelOrder(orderRef, { by: 'staff', reason: note || null }) };
+    }
+    if (status === 'Refunded') {
+      return { status: await refundOrder(orderRef, { by: 'staff', note: note || null }) };
+    }
+    return { status: await transitionOrder(orderRef, status, { by: 'staff', note: note || null }) };
+  } catch (error) {
+    if (error.code === 'invalid-transition') {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    throw error;
+  }
+});
+
+// Staff scan the customer's pickup QR code (or type the code) to hand over the order
+exports.collectPickup = onCall(async (request) => {
+  if (!request.auth?.token?.staff) {
+    throw new HttpsError('permission-denied', 'Only staff can hand over orders.');
+  }
+
+  const { orderId, pickupCode } = request.data || {};
+  const orderRef = admin.firestore().collection('orders').doc(String(orderId));
+  try {
+    return {
+      status: await transitionOrder(orderRef, 'Collected', {
+        by: 'staff',
+        extra: { collectedAt: admin.firestore.FieldValue.serverTimestamp() },
+        check: (order) => (order.fulfilment?.pickupCode === String(pickupCode || '').toUpperCase()
+          ? null
+          : 'This pickup code does not match the order.'),
+      }),
+    };
+  } catch (error) {
+    if (error.code === 'invalid-transition') {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    throw error;
+  }
+});
+
+// The packing slip for an order as HTML, with the courier note, gift details and (unless hidden) prices
+exports.packingSlip = onCall(async (request) => {
+  if (!request.auth?.token?.staff) {
+    throw new HttpsError('permission-denied', 'Only staff can print packing slips.');
+  }
+
+  const orderSnap = await admin.firestore().collection('orders').doc(String(request.data?.orderId)).get();
+  if (!orderSnap.exists) {
+    throw new HttpsError('not-found', 'Order not found.');
+  }
+  const slip = buildPackingSlip(orderSnap.id, orderSnap.data());
+  return { slip, html: renderPackingSlipHtml(slip) };
+});
+
+// Customers can cancel their own order until it's packed
+exports.cancelOrder = onCall(async (request) => {
+  const orderSnap = await getOwnOrder(request);
+  try {
+    return { status: await cancelOrder(orderSnap.ref, { userId: request.auth.uid, reason: request.data?.reason || null }) };
+  } catch (error) {
+    if (error.code === 'invalid-transition') {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    throw error;
+  }
+});
+
+// The app only sends the order id and where the checkout page should send the customer back;
+// the amount is priced here from the catalog
+exports.createCheckout = onCall({ secrets: gatewaySecrets }, async (request) => {
+  const orderSnap = await getOwnOrder(request);
+  if (orderSnap.data().status !== PENDING_PAYMENT) {
+    throw new HttpsError('failed-precondition', 'This order is not waiting for payment.');
+  }
+
+  try {
+    return { checkoutUrl: await createCheckoutForOrder(orderSnap, { returnUrl: request.data?.returnUrl }) };
+  } catch (error) {
+    console.error(`Error creating checkout for order ${orderSnap.id}: `, error);
+    throw new HttpsError('internal', 'There was an issue creating the payment link.');
+  }
+});
+
+// Lets the customer back out of an online payment they haven't made
+exports.cancelPayment = onCall({ secrets: gatewaySecrets }, async (request) => {
+  const orderSnap = await getOwnOrder(request);
+  if (orderSnap.data().status !== PENDING_PAYMENT) {
+    throw new HttpsError('failed-precondition', 'This order is not waiting for payment.');
+  }
+  return { status: await cancelPayment(orderSnap) };
+});
+
+// Register this URL as a PayMongo webhook for link.payment.paid, checkout_session.payment.paid and payment.paid
+exports.paymongoWebhook = onRequest({ secrets: [paymongoWebhookSecret] }, async (req, res) => {
+  const signature = req.get('paymongo-signature');
+  if (!verifySignature(signature, req.rawBody, paymongoWebhookSecret.value())) {
+    res.status(401).send('Invalid signature');
+    return;
+  }
+
+  const event = req.body?.data?.attributes;
+  const status = EVENT_STATUSES[event?.type];
+  if (!status) {
+    res.status(200).send('Ignored');
+    return;
+  }
+
+  try {
+    const orderRef = await findOrderForResource(event.data);
+    if (!orderRef) {
+      console.log(`No order found for PayMongo resource ${event.data.id}`);
+      res.status(200).send('Ignored');
+      return;
+    }
+
+    await settlePayment(orderRef, status);
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('Error handling PayMongo webhook: ', error);
+    res.status(500).send('Error');
+  }
+});
+
+// Register this URL as a Maya webhook for PAYMENT_SUCCESS, PAYMENT_FAILED and PAYMENT_EXPIRED.
+// Maya doesn't sign its webhooks, so the body is only used to find the order and the payment
+// status is read back from Maya with the secret key.
+exports.mayaWebhook = onRequest({ secrets: gatewaySecrets }, async (req, res) => {
+  const orderId = req.body?.requestReferenceNumber;
+  if (!orderId) {
+    res.status(200).send('Ignored');
+    return;
+  }
+
+  try {
+    const orderSnap = await admin.firestore().collection('orders').doc(String(orderId)).get();
+    if (!orderSnap.exists || orderSnap.data().payment?.method !== 'maya') {
+      console.log(`No Maya order found for reference ${orderId}`);
+      res.status(200).send('Ignored');
+      return;
+    }
+
+    await refreshPayment(orderSnap);
+    await checkOpenCheckouts(orderSnap.id);
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('Error handling Maya webhook: ', error);
+    res.status(500).send('Error');
+  }
+});
+
+// Catches payments whose webhook never arrived, expires abandoned checkouts and
+// flags payments made on checkouts that were cancelled but couldn't be closed
+exports.pollPendingPayments = onSchedule({ schedule: 'every 5 minutes', secrets: gatewaySecrets }, async () => {
+  const pending = await admin.firestore()
+    .collection('orders')
+    .where('status', '==', PENDING_PAYMENT)
+    .get();
+
+  await Promise.all(pending.docs.map(orderSnap =>
+    refreshPayment(orderSnap).catch(error => {
+      console.error(`Error refreshing payment for order ${orderSnap.id}: `, error);
+    })
+  ));
+  await checkOpenCheckouts().catch(error => {
+    console.error('Error checking open checkouts: ', error);
+  });
+});
+
+exports.refreshPaymentStatus = onCall({ secrets: gatewaySecrets }, async (request) => {
+  const orderSnap = await getOwnOrder(request);
+  return { status: await refreshPayment(orderSnap) };
+});
+
+// Emails the receipt once the order is placed or, for online payments, paid.
+// Only creations and payments count, so rewriting old orders (e.g. a migration) sends nothing.
+exports.emailOrderReceipt = onDocumentWritten({ document: 'orders/{orderId}', secrets: [smtpUrl] }, async (event) => {
+  const before = event.data?.before?.data();
+  const after = event.data?.after;
+  if (after?.exists && (!before || before.status === PENDING_PAYMENT)) {
+    await sendReceiptEmail(after.ref);
+  }
+});
+
+// Push and inbox notifications when an order is placed, paid (or not), shipped, ready, delivered or earns points.
+// Set EXPO_ACCESS_TOKEN if push security is turned on for the Expo project.
+exports.notifyOrderUpdates = onDocumentWritten('orders/{orderId}', async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : undefined;
+  const after = event.data?.after?.exists ? event.data.after.data() : undefined;
+  await notifyOrderEvents(event.params.orderId, before, after);
+});
+
+// "Email my receipt" in the app, also for when the first email failed
+exports.emailReceipt = onCall({ secrets: [smtpUrl] }, async (request) => {
+  const orderSnap = await getOwnOrder(request);
+  try {
+    return { sent: await sendReceiptEmail(orderSnap.ref, { resend: true }) };
+  } catch (error) {
+    console.error(`Error emailing receipt for order ${orderSnap.id}: `, error);
+    throw new HttpsError('internal', 'There was an issue sending the receipt.');
+  }
+});
+
+// Expires old point lots, then checks the balances that changed since the last run (with an hour's overlap).
+// Users with points from before the ledger who haven't ordered since are opened by scripts/openPointsLedgers.js.
+exports.expireLoyaltyPoints = onSchedule('every day 01:00', async () => {
+  const expired = await expirePoints();
+  console.log(`Expired ${expired} point lots`);
+
+  const checked = await reconcileRecentPoints(new Date(Date.now() - RECONCILE_WINDOW_MS));
+  console.log(`Reconciled points for ${checked} users`);
+});
@@ -0,0 +1,174 @@
+const admin = require('firebase-admin');
+const { withLoyaltyDefaults, createLedgerEntry } = require('./loyalty');
+
+const db = () => admin.firestore();
+
+const ledgerOf = (userRef) => userRef.collection('pointsLedger');
+
+// Writes the entry and the new balance together; call inside a transaction after all reads
+const recordPoints = (transaction, userRef, { type, points, orderId, balanceBefore, settings }) => {
+  const balanceAfter = balanceBefore + points;
+  transaction.set(ledgerOf(userRef).doc(), createLedgerEntry({ type, points, orderId, balanceAfter, settings }));
+  transaction.update(userRef, { points: balanceAfter });
+  return balanceAfter;
+};
+
+// Expires one lot. Never takes the balance below zero, in case the points were already spent elsewhere.
+const expireLot = async (lotRef, settings) => {
+  const userRef = lotRef.parent.parent;
+
+  return db().runTransaction(async (transaction) => {
+    const [lotSnap, userSnap] = await transaction.getAll(lotRef, userRef);
+    const remaining = lotSnap.data()?.remaining || 0;
+    if (remaining <= 0 || !userSnap.exists) {
+      return 0;
+    }
+
+    const points = Math.min(remaining, userSnap.data().points || 0);
+    transaction.update(lotRef, { remaining: 0 });
+    if (points > 0) {
+      recordPoints(transaction, userRef, {
+        type: 'expire',
+        points: -points,
+        orderId: null,
+        balanceBefore: userSnap.data().points || 0,
+        settings,
+      });
+    }
+    return points;
+  });
+};
+
+const expirePoints = async () => {
+  const settingsSnap = await db().collection('settings').doc('loyalty').get();
+  const settings = withLoyaltyDefaults(settingsSnap.data());
+
+  const expired = await db()
+    .collectionGroup('pointsLedger')
+    .where('expiresAt', '<=', new Date())
+    .get();
+
+  const lots = expired.docs.filter(lotSnap => (lotSnap.data().remaining || 0) > 0);
+  for (const lotSnap of lots) {
+    await expireLot(lotSnap.ref, settings);
+  }
+  return lots.length;
+};
+
+const toMillis = (date) => (typeof date?.toMillis === 'function' ? date.toMillis() : new Date(date).getTime());
+
+// The 'opening' lot for a user with points from before the ledger existed, so burns and expiry can draw them
+// down: their balance before their first entry, or their whole balance while the ledger is empty. Burns made
+// before the lot existed couldn't draw from it, so it only keeps what the other lots don't account for.
+// Returns null for users who already have one or never had legacy points.
+const getOpeningEntry = ({ balance, entries, settings }) => {
+  if (entries.some(entry => entry.type === 'opening')) {
+    return null;
+  }
+
+  const first = [...entries].sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt))[0];
+  const opening = first ? first.balanceAfter - first.points : balance;
+  if (opening <= 0) {
+    return null;
+  }
+
+  const inOtherLots = entries.reduce((total, entry) => total + (entry.remaining || 0), 0);
+  return {
+    ...createLedgerEntry({ type: 'opening', points: opening, balanceAfter: opening, settings }),
+    remaining: Math.max(0, Math.min(opening, balance - inOtherLots)),
+    // Listed before the entries that came after it; it expires as if credited now
+    createdAt: first ? new Date(toMillis(first.createdAt) - 1) : new Date(),
+  };
+};
+
+// Writes the user's opening lot if they need one. Returns its points, or 0 when none was written.
+const openUserLedger = async (userRef) => db().runTransaction(async (transaction) => {
+  const userSnap = await transaction.get(userRef);
+  const ledger = await transaction.get(ledgerOf(userRef));
+  const settingsSnap = await transaction.get(db().collection('settings').doc('loyalty'));
+  if (!userSnap.exists) {
+    return 0;
+  }
+
+  const entry = getOpeningEntry({
+    balance: userSnap.data().points || 0,
+    entries: ledger.docs.map(entrySnap => entrySnap.data()),
+    settings: settingsSnap.data(),
+  });
+  if (!entry) {
+    return 0;
+  }
+  transaction.set(ledgerOf(userRef).doc(), entry);
+  return entry.points;
+});
+
+// Checks the stored balance against the sum of the ledger, opening it first for users with legacy points
+const reconcileUserPoints = async (userSnap) => {
+  await openUserLedger(userSnap.ref);
+  const ledger = await ledgerOf(userSnap.ref).get();
+  const stored = userSnap.data().points || 0;
+
+  const fromLedger = ledger.docs.reduce((total, entrySnap) => total + (entrySnap.data().points || 0), 0);
+  if (fromLedger !== stored) {
+    console.error(`Points mismatch for user ${userSnap.id}: stored ${stored}, ledger ${fromLedger}`);
+    await userSnap.ref.update({
+      pointsMismatch: { stored, ledger: fromLedger, checkedAt: admin.firestore.FieldValue.serverTimestamp() },
+    });
+    return false;
+  }
+
+  if (userSnap.data().pointsMismatch) {
+    await userSnap.ref.update({ pointsMismatch: admin.firestore.FieldValue.delete() });
+  }
+  return true;
+};
+
+// The points burned for an order, from its burn entry in the ledger rather than what the order says.
+// The ledger has to add up to the stored balance, so a burn entry only counts if the balance really went down.
+const getRedeemedPoints = async (userRef, orderId) => {
+  await openUserLedger(userRef);
+  const [userSnap, ledger] = await Promise.all([userRef.get(), ledgerOf(userRef).get()]);
+  const entries = ledger.docs.map(entrySnap => entrySnap.data());
+
+  const stored = userSnap.data()?.points || 0;
+  const fromLedger = entries.reduce((total, entry) => total + (entry.points || 0), 0);
+  if (fromLedger !== stored) {
+    throw new Error(`Points ledger of user ${userRef.id} doesn't add up to their balance (stored ${stored}, ledger ${fromLedger})`);
+  }
+
+  const burns = entries.filter(entry => entry.type === 'burn' && entry.orderId === orderId);
+  if (burns.some(entry => entry.balanceAfter < 0)) {
+    throw new Error(`Order ${orderId} burned more points than user ${userRef.id} had`);
+  }
+  return -burns.reduce((total, entry) => total + entry.points, 0);
+};
+
+// Reconciles every user whose points changed since `since`, going by the entries written to their ledger.
+// Each change writes an entry, so users who didn't move don't need checking. Returns how many were checked.
+const reconcileRecentPoints = async (since) => {
+  const entries = await db()
+    .collectionGroup('pointsLedger')
+    .where('createdAt', '>=', since)
+    .get();
+
+  const userRefs = new Map(entries.docs.map(entrySnap => [entrySnap.ref.parent.parent.path, entrySnap.ref.parent.parent]));
+  for (const userRef of userRefs.values()) {
+    const userSnap = await userRef.get();
+    if (userSnap.exists) {
+      await reconcileUserPoints(userSnap).catch(error => {
+        console.error(`Error reconciling points for user ${userSnap.id}: `, error);
+      });
+    }
+  }
+  return userRefs.size;
+};
+
+module.exports = {
+  recordPoints,
+  expirePoints,
+  getOpeningEntry,
+  openUserLedger,
+  reconcileUserPoints,
+  reconcileRecentPoints,
+  getRedeemedPoints,
+};
@@ -0,0 +1,93 @@
+// Loyalty point rules shared by the app, the order transaction and the payment functions.
+// The live values come from the `settings/loyalty` document; these are the fallbacks.
+// Settings are in PHP, amounts passed in and returned are in centavos.
+const { fromPesos } = require('./money');
+
+const DEFAULT_LOYALTY_SETTINGS = {
+  pointValue: 1, // PHP one point is worth when redeemed
+  pointsExpiryMonths: 12, // Earned points expire this long after they were credited
+  // Tiers go by lifetime spend; higher tiers need fewer pesos per point earned
+  tiers: [
+    { name: 'Member', minSpend: 0, pesosPerPoint: 5000 },
+    { name: 'Silver', minSpend: 50000, pesosPerPoint: 4000 },
+    { name: 'Gold', minSpend: 150000, pesosPerPoint: 2500 },
+  ],
+};
+
+// Every change to `users/{uid}.points` gets one `users/{uid}/pointsLedger` entry of these types.
+// Positive entries (earn, refund, opening) are "lots" that burns and expiry draw down oldest first.
+// A reversal takes back points earned on an order that was cancelled.
+const LEDGER_TYPES = ['earn', 'burn', 'refund', 'expire', 'opening', 'reversal'];
+
+const withLoyaltyDefaults = (settings) => ({ ...DEFAULT_LOYALTY_SETTINGS, ...settings });
+
+const getTier = (lifetimeSpend, settings) => {
+  const { tiers } = withLoyaltyDefaults(settings);
+  return [...tiers]
+    .sort((a, b) => b.minSpend - a.minSpend)
+    .find(tier => (lifetimeSpend || 0) >= fromPesos(tier.minSpend)) || tiers[0];
+};
+
+// Clamps a requested redemption to the balance and to what is left to pay. While points are worth nothing
+// (a `pointValue` of 0) none are redeemed, so nobody burns points for no discount.
+// Returns { pointsRedeemed, pointsDiscount }.
+const applyPoints = (requested, { balance, amountDue, settings }) => {
+  const pointValue = fromPesos(withLoyaltyDefaults(settings).pointValue);
+  if (!(pointValue > 0)) {
+    return { pointsRedeemed: 0, pointsDiscount: 0 };
+  }
+  const neededToCoverDue = Math.ceil(Math.max(amountDue, 0) / pointValue);
+  const pointsRedeemed = Math.max(0, Math.min(Math.floor(requested) || 0, balance, neededToCoverDue));
+  const pointsDiscount = Math.min(pointsRedeemed * pointValue, Math.max(amountDue, 0));
+
+  return { pointsRedeemed, pointsDiscount };
+};
+
+// Points are only earned on the part of the order paid in cash or GCash, at the
+// rate of the tier the user was in before this order
+const calculatePointsEarned = (amountPaid, settings, lifetimeSpend = 0) => {
+  const { pesosPerPoint } = getTier(lifetimeSpend, settings);
+  return Math.floor(amountPaid / fromPesos(pesosPerPoint));
+};
+
+// `points` is signed: positive for earn/refund/opening, negative for burn/expire/reversal
+const createLedgerEntry = ({ type, points, orderId = null, balanceAfter, settings, now = new Date() }) => {
+  const entry = { type, points, orderId, balanceAfter, createdAt: now };
+
+  if (points > 0) {
+    const expiresAt = new Date(now);
+    expiresAt.setMonth(expiresAt.getMonth() + withLoyaltyDefaults(settings).pointsExpiryMonths);
+    entry.expiresAt = expiresAt;
+    entry.remaining = points;
+  }
+  return entry;
+};
+
+const toMillis = (date) => (typeof date?.toMillis === 'function' ? date.toMillis() : new Date(date).getTime());
+
+// Draws `points` from lots ([{ id, remaining, expiresAt }]) soonest-expiring first.
+// Returns [{ id, remaining }] for every lot that changed.
+const consumeLots = (lots, points) => {
+  let left = points;
+  return [...lots]
+    .sort((a, b) => toMillis(a.expiresAt) - toMillis(b.expiresAt))
+    .reduce((updates, lot) => {
+      if (left <= 0 || !lot.remaining) {
+        return updates;
+      }
+      const used = Math.min(lot.remaining, left);
+      left -= used;
+      return [...updates, { id: lot.id, remaining: lot.remaining - used }];
+    }, []);
+};
+
+module.exports = {
+  DEFAULT_LOYALTY_SETTINGS,
+  LEDGER_TYPES,
+  withLoyaltyDefaults,
+  getTier,
+  applyPoints,
+  calculatePointsEarned,
+  createLedgerEntry,
+  consumeLots,
+};
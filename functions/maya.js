@@ -0,0 +1,34 @@
+const axios = require('axios');
+const { toPesos } = require('./money');
+
+// Maya Checkout. Defaults to the sandbox; set MAYA_API_URL=https://pg.maya.ph for live payments.
+// MAYA_PUBLIC_KEY creates checkouts and MAYA_SECRET_KEY reads them back; both are Functions secrets.
+const MAYA_API_URL = process.env.MAYA_API_URL || 'https://pg-sandbox.paymaya.com';
+
+const client = (key) => axios.create({
+  baseURL: MAYA_API_URL,
+  auth: { username: key || '', password: '' },
+  headers: {
+    accept: 'application/json',
+    'content-type': 'application/json',
+  },
+});
+
+// `amount` is in centavos; Maya takes pesos. Returns { checkoutId, redirectUrl }.
+const createCheckout = async ({ amount, description, requestReferenceNumber, redirectUrl }) => {
+  const response = await client(process.env.MAYA_PUBLIC_KEY).post('/checkout/v1/checkouts', {
+    totalAmount: { value: toPesos(amount), currency: 'PHP' },
+    items: [{ name: description, quantity: 1, totalAmount: { value: toPesos(amount) } }],
+    requestReferenceNumber,
+    redirectUrl: redirectUrl ? { success: redirectUrl, failure: redirectUrl, cancel: redirectUrl } : undefined,
+  });
+  return response.data;
+};
+
+// Includes `paymentStatus`, e.g. 'PENDING_PAYMENT', 'PAYMENT_SUCCESS', 'PAYMENT_FAILED' or 'PAYMENT_EXPIRED'
+const getCheckout = async (checkoutId) => {
+  const response = await client(process.env.MAYA_SECRET_KEY).get(`/checkout/v1/checkouts/${checkoutId}`);
+  return response.data;
+};
+
+module.exports = { MAYA_API_URL, createCheckout, getCheckout };
@@ -0,0 +1,61 @@
+// Money is handled as integer centavos everywhere (Php 12,345.00 -> 1234500) so sums never drift.
+// Convert to pesos only at the edges: catalog prices, admin-entered settings and display.
+
+const CENTAVO_EPSILON = 1e-6;
+
+// Parses catalog prices like "Php 12,345.00", "₱1,234,567.5", "99" or ".5". Returns null if it isn't a price,
+// including negative amounts and anything finer than a centavo.
+const parsePrice = (price) => {
+  if (typeof price === 'number') {
+    // Rounding only absorbs float noise like 0.1 + 0.2; 19.999 is a price finer than a centavo
+    const centavos = price * 100;
+    return Number.isFinite(price) && price >= 0 && Math.abs(centavos - Math.round(centavos)) < CENTAVO_EPSILON
+      ? Math.round(centavos)
+      : null;
+  }
+
+  const cleaned = String(price ?? '')
+    .replace(/php|₱/gi, '')
+    .replace(/[,\s]/g, '');
+  const match = /^(?=\.?\d)(\d*)(?:\.(\d{0,2}))?$/.exec(cleaned);
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * 100 + Number((match[2] || '').padEnd(2, '0'));
+};
+
+// For peso amounts that are already numbers (settings, promotion values)
+const fromPesos = (pesos) => Math.round((Number(pesos) || 0) * 100);
+
+const toPesos = (centavos) => centavos / 100;
+
+// "12345.00": the plain decimal form older order documents use for `total`
+const formatAmount = (centavos) => {
+  const sign = centavos < 0 ? '-' : '';
+  const absolute = Math.abs(Math.round(centavos));
+  return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+};
+
+// "Php 12,345.00"
+const formatPrice = (centavos) => {
+  const [whole, fraction] = formatAmount(centavos).split('.');
+  return `Php ${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${fraction}`;
+};
+
+const lineTotal = (unitPrice, quantity) => unitPrice * quantity;
+
+const sumCentavos = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+// Percentages of centavo amounts, rounded to the nearest centavo
+const percentOf = (centavos, percent) => Math.round((centavos * percent) / 100);
+
+module.exports = {
+  parsePrice,
+  fromPesos,
+  toPesos,
+  formatAmount,
+  formatPrice,
+  lineTotal,
+  sumCentavos,
+  percentOf,
+};
@@ -0,0 +1,138 @@
+const admin = require('firebase-admin');
+const { formatPrice } = require('./money');
+const { getPushTransport, isExpoPushToken } = require('./push');
+
+// Order and payment updates for the customer. Each one is written to their inbox,
+// `users/{userId}/notifications/{id}`, as { type, title, body, data, read, createdAt, push }, and pushed to
+// every Expo push token the app registered in the user's `expoPushTokens`.
+//
+// Notification ids are made from the order id and the event, so a retried trigger finds the inbox entry
+// already there and sends nothing twice.
+
+const db = () => admin.firestore();
+
+const ALREADY_EXISTS = 6; // gRPC status Firestore uses when create() finds the document
+
+// What to tell the customer for each event
+const NOTIFICATIONS = {
+  orderPlaced: (orderId, order) => ({
+    title: 'Order placed',
+    body: order.status === 'Pending Payment'
+      ? `Order ${orderId} is waiting for your payment of ${formatPrice(order.amounts.total)}.`
+      : `Thanks! We've received order ${orderId}.`,
+  }),
+  paymentConfirmed: (orderId, order) => ({
+    title: 'Payment confirmed',
+    body: `We've received your payment of ${formatPrice(order.amounts.total)} for order ${orderId}.`,
+  }),
+  paymentFailed: (orderId, order) => ({
+    title: 'Payment not completed',
+    body: order.status === 'Expired'
+      ? `The payment for order ${orderId} timed out, so the order was cancelled.`
+      : `The payment for order ${orderId} didn't go through, so the order was cancelled.`,
+  }),
+  orderShipped: (orderId) => ({
+    title: 'Order shipped',
+    body: `Order ${orderId} is on its way.`,
+  }),
+  orderReadyForPickup: (orderId, order) => ({
+    title: 'Ready for pickup',
+    body: `Order ${orderId} is ready at ${order.fulfilment.storeName}. Show your pickup code at the counter.`,
+  }),
+  orderDelivered: (orderId, order) => ({
+    title: order.status === 'Collected' ? 'Order collected' : 'Order delivered',
+    body: `Order ${orderId} has been ${order.status === 'Collected' ? 'collected' : 'delivered'}. Enjoy!`,
+  }),
+  pointsCredited: (orderId, order) => ({
+    title: 'Points earned',
+    body: `You earned ${order.pointsEarned} points on order ${orderId}.`,
+  }),
+};
+
+const STATUS_EVENTS = {
+  Paid: 'paymentConfirmed',
+  Failed: 'paymentFailed',
+  Expired: 'paymentFailed',
+  Shipped: 'orderShipped',
+  'Ready for Pickup': 'orderReadyForPickup',
+  Delivered: 'orderDelivered',
+  Collected: 'orderDelivered',
+};
+
+// The events in one write to an order, given the order before (undefined when it was just created) and after
+const getOrderEvents = (before, after) => {
+  if (!after) {
+    return [];
+  }
+  const events = [];
+  if (!before) {
+    events.push('orderPlaced');
+  } else if (before.status !== after.status && STATUS_EVENTS[after.status]) {
+    events.push(STATUS_EVENTS[after.status]);
+  }
+  if ((after.pointsEarned || 0) > 0 && !(before?.pointsEarned > 0)) {
+    events.push('pointsCredited');
+  }
+  return events;
+};
+
+// Sends the notification to the user's devices. Tokens Expo no longer knows are taken off the user.
+const pushToUser = async (userId, { title, body, data }) => {
+  const userRef = db().collection('users').doc(userId);
+  const tokens = ((await userRef.get()).data()?.expoPushTokens || []).filter(isExpoPushToken);
+  if (tokens.length === 0) {
+    return { sent: 0, failed: 0 };
+  }
+
+  const tickets = await getPushTransport().send(tokens.map(to => ({ to, title, body, data, sound: 'default' })));
+  const staleTokens = tokens.filter((token, index) => tickets[index]?.details?.error === 'DeviceNotRegistered');
+  if (staleTokens.length > 0) {
+    await userRef.update({ expoPushTokens: admin.firestore.FieldValue.arrayRemove(...staleTokens) });
+  }
+  const sent = tickets.filter(ticket => ticket.status === 'ok').length;
+  return { sent, failed: tokens.length - sent };
+};
+
+// Adds the notification to the user's inbox and pushes it. Returns false if the inbox already had it.
+// A push that fails is recorded on the inbox entry rather than thrown, since the customer can still see it in the app.
+const notifyUser = async (userId, { id, type, title, body, data = {} }) => {
+  const { FieldValue } = admin.firestore;
+  const notificationRef = db().collection('users').doc(userId).collection('notifications').doc(id);
+
+  try {
+    await notificationRef.create({ type, title, body, data, read: false, createdAt: FieldValue.serverTimestamp(), push: null });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      return false;
+    }
+    throw error;
+  }
+
+  let push;
+  try {
+    push = await pushToUser(userId, { title, body, data: { ...data, notificationId: id } });
+  } catch (error) {
+    console.error(`Error pushing notification ${id} to user ${userId}: `, error);
+    push = { sent: 0, failed: null, error: error.message };
+  }
+  await notificationRef.update({ push });
+  return true;
+};
+
+// Notifies the customer about whatever happened in this write to their order
+const notifyOrderEvents = async (orderId, before, after) => {
+  for (const type of getOrderEvents(before, after)) {
+    await notifyUser(after.userId, {
+      id: `${orderId}-${type}`,
+      type,
+      ...NOTIFICATIONS[type](orderId, after),
+      data: { orderId },
+    });
+  }
+};
+
+module.exports = {
+  getOrderEvents,
+  notifyUser,
+  notifyOrderEvents,
+};
@@ -0,0 +1,111 @@
+// Optional notes the shopper can add at checkout, shared by the review step, the order transaction, the
+// order schema and the packing slip.
+//
+// On the checkout screen they're flat fields (EMPTY_ORDER_NOTES). toOrderNotes turns them into what the
+// order keeps on its `fulfilment`:
+//   courierNote  for the rider, e.g. "Leave at the guardhouse"; delivery orders only
+//   gift         { recipientName, recipientPhone, message } when the order is a gift, otherwise null.
+//                For pickups the recipient is who collects it.
+//   hidePrices   true to leave prices off the packing slip
+// Orders placed before these existed have none of the three, which reads the same as no notes.
+// Cash on delivery orders can't be gifts or hide their prices: whoever receives the order pays the courier
+// the amount on the slip.
+
+const NOTE_LIMITS = {
+  courierNote: 200,
+  giftRecipientName: 80,
+  giftMessage: 300,
+};
+
+const EMPTY_ORDER_NOTES = {
+  courierNote: '',
+  isGift: false,
+  giftRecipientName: '',
+  giftRecipientPhone: '',
+  giftMessage: '',
+  hidePrices: false,
+};
+
+const PHONE_PATTERN = /^(09|\+639)\d{9}$/; // PH mobile, e.g. 09171234567 or +639171234567
+
+const normalizePhone = (phone) => (phone || '').replace(/[\s-]/g, '');
+
+const tooLong = (value, limit) => (value || '').trim().length > limit;
+
+// Returns { field: message } for every invalid field; empty when the notes can be saved.
+// `paymentMethod` is the payment method id the order will be paid with.
+const validateOrderNotes = (fields, paymentMethod) => {
+  const errors = {};
+
+  if (tooLong(fields.courierNote, NOTE_LIMITS.courierNote)) {
+    errors.courierNote = `The note for the courier must be ${NOTE_LIMITS.courierNote} characters or fewer.`;
+  }
+  if (paymentMethod === 'cod' && fields.isGift) {
+    errors.isGift = 'Gifts have to be paid for up front. Please choose another payment method.';
+  }
+  if (paymentMethod === 'cod' && fields.hidePrices) {
+    errors.hidePrices = 'Prices stay on the packing slip for Cash on Delivery so the courier knows how much to collect.';
+  }
+  if (!fields.isGift) {
+    return errors;
+  }
+
+  if (!fields.giftRecipientName?.trim()) {
+    errors.giftRecipientName = 'Recipient name is required for gifts.';
+  } else if (tooLong(fields.giftRecipientName, NOTE_LIMITS.giftRecipientName)) {
+    errors.giftRecipientName = `Recipient name must be ${NOTE_LIMITS.giftRecipientName} characters or fewer.`;
+  }
+  const phone = normalizePhone(fields.giftRecipientPhone);
+  if (!phone) {
+    errors.giftRecipientPhone = 'Recipient phone number is required for gifts.';
+  } else if (!PHONE_PATTERN.test(phone)) {
+    errors.giftRecipientPhone = 'Enter a mobile number like 09171234567.';
+  }
+  if (tooLong(fields.giftMessage, NOTE_LIMITS.giftMessage)) {
+    errors.giftMessage = `The gift message must be ${NOTE_LIMITS.giftMessage} characters or fewer.`;
+  }
+
+  return errors;
+};
+
+// The notes as the order saves them on `fulfilment`
+const toOrderNotes = (fields, fulfilmentMethod) => ({
+  courierNote: fulfilmentMethod === 'delivery' ? fields.courierNote?.trim() || null : null,
+  gift: fields.isGift
+    ? {
+      recipientName: fields.giftRecipientName.trim(),
+      recipientPhone: normalizePhone(fields.giftRecipientPhone),
+      message: fields.giftMessage?.trim() || null,
+    }
+    : null,
+  hidePrices: !!fields.hidePrices,
+});
+
+// Schema errors for the notes saved on an order's `fulfilment`, for an order paid with `paymentMethod`
+const getOrderNotesErrors = (fulfilment, paymentMethod) => {
+  const { courierNote, gift, hidePrices } = fulfilment;
+  const fieldErrors = validateOrderNotes({
+    courierNote,
+    isGift: !!gift,
+    giftRecipientName: gift?.recipientName,
+    giftRecipientPhone: gift?.recipientPhone,
+    giftMessage: gift?.message,
+    hidePrices: hidePrices === true,
+  }, paymentMethod);
+  const errors = Object.values(fieldErrors);
+  if (courierNote && fulfilment.method !== 'delivery') {
+    errors.push('Only delivery orders take a note for the courier.');
+  }
+  if (hidePrices !== undefined && typeof hidePrices !== 'boolean') {
+    errors.push('fulfilment.hidePrices must be true or false.');
+  }
+  return errors;
+};
+
+module.exports = {
+  NOTE_LIMITS,
+  EMPTY_ORDER_NOTES,
+  validateOrderNotes,
+  toOrderNotes,
+  getOrderNotesErrors,
+};
@@ -0,0 +1,294 @@
+// The shape of an `orders/{id}` document, shared by the order transaction, the functions and the migration script.
+//
+// Version 2 looks like:
+//   { schemaVersion: 2, userId, userName, status, statusHistory, createdAt, checkoutFingerprint?,
+//     items: [{ id, name, description, imageUrl, quantity, unitPrice, lineTotal }],
+//     amounts: { subtotal, deliveryFee, discount, pointsDiscount, total },
+//     total: '1234.00', pointsRedeemed, pointsEarned, promotionId?, promoCode?,
+//     fulfilment: { method: 'delivery', address, shippingAddress, deliverySlot, courierNote?, gift?, hidePrices? }
+//               | { method: 'pickup', storeId, storeName, storeAddress, pickupCode, gift?, hidePrices? },
+//     payment: { method: 'cod' | 'points' | 'gcash' | 'card' | 'maya', status,
+//                checkoutId?, checkoutUrl?, referenceNumber?, refund?, lateRefunds? } }
+//
+// Amounts are centavos. `total` is the same total as a decimal string for older screens.
+// The courier note, gift details and hidePrices flag are optional; see orderNotes.js.
+// `checkoutFingerprint` hashes what the app asked for, so a replayed checkout attempt can be matched to it.
+// `checkoutId` is the hosted checkout at the payment gateway (see gateways.js) for methods paid online.
+// `lateRefunds` lists payments made on checkouts that had been cancelled (see checkOpenCheckouts in payments.js).
+// Version 1 orders kept the payment method in both `delivery` and `paymentMethod` (or `deliveryMethod`),
+// the address and slot at the top level and the PayMongo ids loose on the order; upgradeOrder converts them.
+const { ORDER_STATUSES } = require('./orderStatus');
+const { parsePrice, lineTotal, sumCentavos, formatAmount } = require('./money');
+const { getOrderNotesErrors } = require('./orderNotes');
+
+const ORDER_SCHEMA_VERSION = 2;
+
+const FULFILMENT_METHODS = ['delivery', 'pickup'];
+
+// Payment method ids and how they read to the customer
+const PAYMENT_METHODS = {
+  cod: 'Cash on Delivery',
+  gcash: 'E-Wallet (GCash)',
+  card: 'Credit/Debit Card',
+  maya: 'Maya',
+  points: 'Points',
+};
+
+// Paid on a gateway's checkout page; the order waits in 'Pending Payment' until the gateway confirms
+const ONLINE_PAYMENT_METHODS = ['gcash', 'card', 'maya'];
+
+// Where each payment starts: COD is collected at the door, online payments wait for the gateway, Points are taken at once
+const INITIAL_PAYMENT_STATUS = {
+  cod: 'unpaid',
+  gcash: 'pending',
+  card: 'pending',
+  maya: 'pending',
+  points: 'paid',
+};
+
+const PAYMENT_STATUSES = ['unpaid', 'pending', 'paid', 'failed', 'expired', 'cancelled'];
+
+// Cash on delivery is collected when the order changes hands
+const COD_COLLECTED_STATUSES = ['Delivered', 'Collected'];
+
+const formatPaymentMethod = (method) => PAYMENT_METHODS[method] || method;
+
+// 'E-Wallet (Gcash)' -> 'gcash'. Accepts ids too, so it's safe on anything already converted.
+const toPaymentMethodId = (method) => {
+  if (PAYMENT_METHODS[method]) {
+    return method;
+  }
+  const label = String(method || '').toLowerCase();
+  if (label.includes('gcash')) {
+    return 'gcash';
+  }
+  if (label.includes('point')) {
+    return 'points';
+  }
+  return label.includes('cash') ? 'cod' : null;
+};
+
+// What the order keeps of a product, so it still reads right after the catalog changes.
+// `product` is the `products/{id}` document at the time of the order.
+const toOrderItem = (id, product, quantity) => {
+  const unitPrice = parsePrice(product.price);
+  return {
+    id,
+    name: product.name,
+    description: product.description || '',
+    imageUrl: product.imageUrl || null,
+    quantity,
+    unitPrice,
+    lineTotal: lineTotal(unitPrice, quantity),
+  };
+};
+
+const isCentavos = (value) => Number.isInteger(value) && value >= 0;
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Returns every way the order breaks the current schema; an empty list means it's valid
+const getOrderErrors = (order) => {
+  const errors = [];
+  if (!order || typeof order !== 'object') {
+    return ['Order is missing.'];
+  }
+
+  if (order.schemaVersion !== ORDER_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${ORDER_SCHEMA_VERSION}.`);
+  }
+  if (!isText(order.userId)) {
+    errors.push('userId is required.');
+  }
+  if (!isText(order.userName)) {
+    errors.push('userName is required.');
+  }
+  if (!ORDER_STATUSES.includes(order.status)) {
+    errors.push(`status "${order.status}" is not an order status.`);
+  }
+  if (!order.createdAt) {
+    errors.push('createdAt is required.');
+  }
+
+  const items = Array.isArray(order.items) ? order.items : [];
+  if (items.length === 0) {
+    errors.push('An order needs at least one item.');
+  }
+  items.forEach((item, index) => {
+    if (item.id === undefined || item.id === null || !isText(item.name)) {
+      errors.push(`items[${index}] needs an id and a name.`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      errors.push(`items[${index}].quantity must be a whole number above zero.`);
+    }
+    if (!isCentavos(item.unitPrice) || item.lineTotal !== lineTotal(item.unitPrice, item.quantity)) {
+      errors.push(`items[${index}] must have a unitPrice in centavos and a lineTotal of unitPrice × quantity.`);
+    }
+    if (item.imageUrl !== null && typeof item.imageUrl !== 'string') {
+      errors.push(`items[${index}].imageUrl must be a URL or null.`);
+    }
+  });
+
+  const { amounts } = order;
+  if (!amounts || !['subtotal', 'deliveryFee', 'discount', 'pointsDiscount'].every(key => isCentavos(amounts[key]))) {
+    errors.push('amounts must hold subtotal, deliveryFee, discount and pointsDiscount in centavos.');
+  } else {
+    if (amounts.subtotal !== sumCentavos(items.map(item => item.lineTotal))) {
+      errors.push('amounts.subtotal must be the sum of the line totals.');
+    }
+    if (amounts.total !== amounts.subtotal + amounts.deliveryFee - amounts.discount - amounts.pointsDiscount) {
+      errors.push('amounts.total must be subtotal + deliveryFee - discount - pointsDiscount.');
+    }
+  }
+
+  const { fulfilment } = order;
+  if (!fulfilment || !FULFILMENT_METHODS.includes(fulfilment.method)) {
+    errors.push(`fulfilment.method must be one of ${FULFILMENT_METHODS.join(', ')}.`);
+  } else if (fulfilment.method === 'pickup') {
+    if (!isText(fulfilment.storeId) || !isText(fulfilment.pickupCode)) {
+      errors.push('Pickup orders need fulfilment.storeId and fulfilment.pickupCode.');
+    }
+    if (amounts && amounts.deliveryFee !== 0) {
+      errors.push('Pickup orders have no delivery fee.');
+    }
+  } else if (!isText(fulfilment.address)) {
+    errors.push('Delivery orders need fulfilment.address.');
+  }
+  if (fulfilment) {
+    errors.push(...getOrderNotesErrors(fulfilment, order.payment?.method));
+  }
+
+  const { payment } = order;
+  if (!payment || !PAYMENT_METHODS[payment.method]) {
+    errors.push(`payment.method must be one of ${Object.keys(PAYMENT_METHODS).join(', ')}.`);
+  } else if (!PAYMENT_STATUSES.includes(payment.status)) {
+    errors.push(`payment.status must be one of ${PAYMENT_STATUSES.join(', ')}.`);
+  } else if (payment.method === 'points' && amounts?.total !== 0) {
+    errors.push('Orders paid with points must have nothing left to pay.');
+  }
+
+  return errors;
+};
+
+// Where a version 1 order's payment stood, going by the order status
+const getLegacyPaymentStatus = (method, status) => {
+  if (status === 'Pending Payment') {
+    return 'pending';
+  }
+  if (status === 'Failed' || status === 'Expired') {
+    return status.toLowerCase();
+  }
+  if (method === 'cod') {
+    return [...COD_COLLECTED_STATUSES, 'Refunded'].includes(status) ? 'paid' : 'unpaid';
+  }
+  return 'paid';
+};
+
+// Version 1 -> 2. Amounts and item prices that were never kept in centavos are worked out from the decimal strings.
+const toOrderV2 = (order) => {
+  const {
+    delivery,
+    deliveryMethod,
+    paymentMethod,
+    address,
+    shippingAddress,
+    deliverySlot,
+    paymongoLinkId,
+    paymongoReferenceNumber,
+    paymentUpdatedAt,
+    refundRequest,
+    ...rest
+  } = order;
+
+  const items = (order.items || []).map(item => {
+    const unitPrice = item.unitPrice ?? parsePrice(item.price) ?? 0;
+    const quantity = Number(item.quantity) || 1;
+    return {
+      id: item.id,
+      name: item.name || 'Unknown Product',
+      description: item.description || '',
+      imageUrl: item.imageUrl || null,
+      quantity,
+      unitPrice,
+      lineTotal: lineTotal(unitPrice, quantity),
+    };
+  });
+
+  const subtotal = sumCentavos(items.map(item => item.lineTotal));
+  const legacyTotal = parsePrice(order.total);
+  const amounts = order.amounts ? { ...order.amounts } : {
+    subtotal,
+    // The fee wasn't stored separately, so it's whatever the old total had on top of the items
+    deliveryFee: legacyTotal !== null ? Math.max(0, legacyTotal - subtotal) : 0,
+    discount: 0,
+    pointsDiscount: 0,
+  };
+  amounts.total = amounts.subtotal + amounts.deliveryFee - amounts.discount - amounts.pointsDiscount;
+
+  const method = toPaymentMethodId(paymentMethod || deliveryMethod || delivery) || 'cod';
+  const payment = {
+    method,
+    status: getLegacyPaymentStatus(method, order.status),
+  };
+  // Version 1 only ever paid through PayMongo links, which are the gateway checkout now
+  if (paymongoLinkId) {
+    payment.checkoutId = paymongoLinkId;
+    payment.referenceNumber = paymongoReferenceNumber || null;
+  }
+  if (paymentUpdatedAt) {
+    payment.updatedAt = paymentUpdatedAt;
+  }
+  if (refundRequest) {
+    const { paymongoLinkId: refundLinkId, paymongoReferenceNumber: refundReferenceNumber, ...refund } = refundRequest;
+    payment.refund = { ...refund, checkoutId: refundLinkId || null, referenceNumber: refundReferenceNumber || null };
+  }
+
+  const fulfilment = order.fulfilment?.method === 'pickup'
+    ? order.fulfilment
+    : { method: 'delivery', address: address || '', shippingAddress: shippingAddress || null, deliverySlot: deliverySlot || null };
+
+  return {
+    ...rest,
+    schemaVersion: 2,
+    userName: order.userName || '',
+    items,
+    amounts,
+    total: formatAmount(amounts.total),
+    pointsRedeemed: order.pointsRedeemed || 0,
+    pointsEarned: order.pointsEarned || 0,
+    fulfilment,
+    payment,
+    statusHistory: order.statusHistory || [],
+  };
+};
+
+// Each step takes an order from the version it's keyed by to the next one
+const UPGRADES = {
+  1: toOrderV2,
+};
+
+// Converts an order of any earlier version into the current shape. Orders already current come back unchanged.
+// Orders from before versioning count as version 1.
+const upgradeOrder = (order) => {
+  let upgraded = order;
+  while ((upgraded.schemaVersion || 1) < ORDER_SCHEMA_VERSION) {
+    upgraded = UPGRADES[upgraded.schemaVersion || 1](upgraded);
+  }
+  return upgraded;
+};
+
+
+module.exports = {
+  ORDER_SCHEMA_VERSION,
+  FULFILMENT_METHODS,
+  PAYMENT_METHODS,
+  ONLINE_PAYMENT_METHODS,
+  INITIAL_PAYMENT_STATUS,
+  PAYMENT_STATUSES,
+  COD_COLLECTED_STATUSES,
+  formatPaymentMethod,
+  toPaymentMethodId,
+  toOrderItem,
+  getOrderErrors,
+  upgradeOrder,
+};
@@ -0,0 +1,75 @@
+// Order status rules shared by the app (placing and tracking orders) and the functions that move orders along.
+//
+//   Pending Payment -> Paid | Failed | Expired | Cancelled     (online payments, settled by the gateway)
+//   Pending | Paid  -> Confirmed -> Packed -> Shipped -> Delivered
+//                                    Packed -> Ready for Pickup -> Collected   (store pickup)
+//   Pending | Paid | Confirmed -> Cancelled                     (the customer can cancel these)
+//   Paid | Cancelled | Delivered | Collected -> Refunded
+//
+// Every change is appended to the order's `statusHistory` as { status, at, by, note }.
+
+const ORDER_STATUSES = [
+  'Pending Payment',
+  'Paid',
+  'Failed',
+  'Expired',
+  'Pending',
+  'Confirmed',
+  'Packed',
+  'Shipped',
+  'Delivered',
+  'Ready for Pickup',
+  'Collected',
+  'Cancelled',
+  'Refunded',
+];
+
+const ORDER_TRANSITIONS = {
+  'Pending Payment': ['Paid', 'Failed', 'Expired', 'Cancelled'],
+  Paid: ['Confirmed', 'Cancelled', 'Refunded'],
+  Pending: ['Confirmed', 'Cancelled'],
+  Confirmed: ['Packed', 'Cancelled'],
+  Packed: ['Shipped', 'Ready for Pickup'],
+  Shipped: ['Delivered'],
+  Delivered: ['Refunded'],
+  'Ready for Pickup': ['Collected'],
+  Collected: ['Refunded'],
+  Cancelled: ['Refunded'],
+  Failed: [],
+  Expired: [],
+  Refunded: [],
+};
+
+// The happy paths shown on the tracking screen
+const FULFILMENT_STEPS = ['Pending', 'Confirmed', 'Packed', 'Shipped', 'Delivered'];
+const PICKUP_STEPS = ['Pending', 'Confirmed', 'Packed', 'Ready for Pickup', 'Collected'];
+
+// Statuses the customer can still cancel from, before the order is packed
+const CUSTOMER_CANCELLABLE = ['Pending', 'Paid', 'Confirmed'];
+
+// Who moved the order: the shopper, staff, or the payment functions
+const STATUS_ACTORS = ['customer', 'staff', 'system'];
+
+// Returns why the order can't move from `from` to `to`, or null when it can
+const getTransitionError = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    return `"${to}" is not an order status.`;
+  }
+  if (!(ORDER_TRANSITIONS[from] || []).includes(to)) {
+    return `An order that is ${from} can't be moved to ${to}.`;
+  }
+  return null;
+};
+
+const createStatusEntry = ({ status, by = 'system', note = null, at = new Date() }) => ({ status, at, by, note });
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  FULFILMENT_STEPS,
+  PICKUP_STEPS,
+  CUSTOMER_CANCELLABLE,
+  STATUS_ACTORS,
+  getTransitionError,
+  createStatusEntry,
+};
@@ -0,0 +1,227 @@
+const admin = require('firebase-admin');
+const { getTier } = require('./loyalty');
+const { recordPoints } = require('./ledger');
+const { CUSTOMER_CANCELLABLE, getTransitionError, createStatusEntry } = require('./orderStatus');
+const { COD_COLLECTED_STATUSES } = require('./orderSchema');
+
+const db = () => admin.firestore();
+
+const transitionError = (message) => {
+  const error = new Error(message);
+  error.code = 'invalid-transition';
+  return error;
+};
+
+// Moves an order to `status` if its current status allows it and records the change in `statusHistory`.
+// `extra` is merged into the same update, and `check(order)` can return a reason to refuse the move.
+// Cash on delivery orders are marked paid once they are delivered or collected.
+// Throws an error with code 'invalid-transition' otherwise.
+const transitionOrder = async (orderRef, status, { by = 'system', note = null, extra = {}, check } = {}) => {
+  const { FieldValue } = admin.firestore;
+
+  return db().runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists) {
+      throw transitionError('Order not found.');
+    }
+
+    const error = getTransitionError(orderSnap.data().status, status) || (check && check(orderSnap.data()));
+    if (error) {
+      throw transitionError(error);
+    }
+
+    const update = {
+      ...extra,
+      status,
+      statusHistory: FieldValue.arrayUnion(createStatusEntry({ status, by, note })),
+      statusUpdatedAt: FieldValue.serverTimestamp(),
+    };
+    if (orderSnap.data().payment?.method === 'cod' && COD_COLLECTED_STATUSES.includes(status)) {
+      update['payment.status'] = 'paid';
+      update['payment.updatedAt'] = FieldValue.serverTimestamp();
+    }
+    transaction.update(orderRef, update);
+    return status;
+  });
+};
+
+// Gives back what placing the order took: its stock, its delivery slot, the points burned on it and its promo code.
+// Call inside a transaction after all reads. Returns the user's balance afterwards.
+const releaseOrder = (transaction, orderRef, order, { userRef, balance, settings }) => {
+  const { FieldValue } = admin.firestore;
+
+  // Pickup orders took their stock from the store's shelf, not the warehouse
+  const pickupStoreId = order.fulfilment.method === 'pickup' ? order.fulfilment.storeId : null;
+  order.items.forEach(item => {
+    if (pickupStoreId) {
+      transaction.update(db().collection('stores').doc(pickupStoreId), {
+        [`stock.${item.id}`]: FieldValue.increment(item.quantity),
+      });
+    } else {
+      transaction.update(db().collection('products').doc(item.id.toString()), {
+        stock: FieldValue.increment(item.quantity),
+      });
+    }
+  });
+
+  if (order.fulfilment.deliverySlot) {
+    transaction.update(db().collection('deliverySlots').doc(order.fulfilment.deliverySlot.id), {
+      reserved: FieldValue.increment(-1),
+    });
+  }
+
+  let balanceAfter = balance;
+  if (order.pointsRedeemed) {
+    balanceAfter = recordPoints(transaction, userRef, {
+      type: 'refund',
+      points: order.pointsRedeemed,
+      orderId: orderRef.id,
+      balanceBefore: balance,
+      settings,
+    });
+  }
+
+  if (order.promotionId) {
+    const promotionRef = db().collection('promotions').doc(order.promotionId);
+    transaction.update(promotionRef, { usedCount: FieldValue.increment(-1) });
+    transaction.update(promotionRef.collection('users').doc(order.userId), { count: FieldValue.increment(-1) });
+    transaction.delete(promotionRef.collection('redemptions').doc(orderRef.id));
+  }
+
+  return balanceAfter;
+};
+
+// Reads what reverseOrder needs: the order's customer, the loyalty settings and the point lots the order earned.
+// Call inside the transaction before any writes.
+const getOrderCustomer = async (transaction, orderRef, order) => {
+  const userRef = db().collection('users').doc(order.userId);
+  const [userSnap, settingsSnap] = await transaction.getAll(userRef, db().collection('settings').doc('loyalty'));
+  const earnedLots = order.pointsEarned
+    ? await transaction.get(userRef.collection('pointsLedger').where('orderId', '==', orderRef.id).where('type', '==', 'earn'))
+    : null;
+  return { userRef, userSnap, earnedLots, settings: settingsSnap.data() };
+};
+
+// Takes back the points the order earned and its lifetime spend, after giving back what placing it took
+// (see releaseOrder) unless `release` is false. Call inside a transaction after all reads.
+const reverseOrder = (transaction, orderRef, order, { userRef, userSnap, earnedLots, settings }, { release = true } = {}) => {
+  let balance = userSnap.data()?.points || 0;
+  if (release) {
+    balance = releaseOrder(transaction, orderRef, order, { userRef, balance, settings });
+  }
+
+  // Earned points may already be spent; never take the balance below zero
+  if (order.pointsEarned) {
+    earnedLots.docs.forEach(lotSnap => transaction.update(lotSnap.ref, { remaining: 0 }));
+    const reversed = Math.min(order.pointsEarned, balance);
+    if (reversed > 0) {
+      recordPoints(transaction, userRef, {
+        type: 'reversal',
+        points: -reversed,
+        orderId: orderRef.id,
+        balanceBefore: balance,
+        settings,
+      });
+    }
+  }
+
+  // Only orders that were paid or placed as COD counted towards the tier
+  const lifetimeSpend = Math.max(0, (userSnap.data()?.lifetimeSpend || 0) - order.amounts.total);
+  transaction.update(userRef, { lifetimeSpend, tier: getTier(lifetimeSpend, settings).name });
+};
+
+// Cancels an order while it's still Pending, Paid or Confirmed, for the customer who placed it (pass their
+// `userId`) or for staff (`by: 'staff'`). In the same transaction it releases stock, the delivery slot,
+// burned points and the promo code, takes back the points the order earned and its lifetime spend, and
+// for orders paid online flags a refund for staff to issue against the gateway payment.
+const cancelOrder = async (orderRef, { userId = null, by = 'customer', reason = null }) => {
+  const { FieldValue } = admin.firestore;
+
+  return db().runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists || (by === 'customer' && orderSnap.data().userId !== userId)) {
+      throw transitionError('Order not found.');
+    }
+
+    const order = orderSnap.data();
+    if (!CUSTOMER_CANCELLABLE.includes(order.status)) {
+      throw transitionError(`An order that is ${order.status} can no longer be cancelled.`);
+    }
+    const error = getTransitionError(order.status, 'Cancelled');
+    if (error) {
+      throw transitionError(error);
+    }
+
+    reverseOrder(transaction, orderRef, order, await getOrderCustomer(transaction, orderRef, order));
+
+    const total = order.amounts.total;
+    const update = {
+      status: 'Cancelled',
+      statusHistory: FieldValue.arrayUnion(createStatusEntry({ status: 'Cancelled', by, note: reason })),
+      statusUpdatedAt: FieldValue.serverTimestamp(),
+      cancelledAt: FieldValue.serverTimestamp(),
+    };
+    if (order.payment.checkoutId && total > 0) {
+      update['payment.refund'] = {
+        status: 'requested',
+        amount: total,
+        checkoutId: order.payment.checkoutId,
+        referenceNumber: order.payment.referenceNumber || null,
+        requestedAt: FieldValue.serverTimestamp(),
+      };
+    }
+    transaction.update(orderRef, update);
+
+    return 'Cancelled';
+  });
+};
+
+// Marks a paid order Refunded once staff have given the money back, and records the refund as issued.
+// An order refunded straight from Paid never went out, so it is reversed like a cancellation; delivered or
+// collected ones keep their stock (returns are restocked separately) but lose their points and lifetime spend.
+// Cancelled orders were reversed when they were cancelled.
+const refundOrder = async (orderRef, { by = 'staff', note = null } = {}) => {
+  const { FieldValue } = admin.firestore;
+
+  return db().runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists) {
+      throw transitionError('Order not found.');
+    }
+
+    const order = orderSnap.data();
+    const error = getTransitionError(order.status, 'Refunded')
+      || (order.payment.status !== 'paid' ? 'Only orders that were paid can be refunded.' : null);
+    if (error) {
+      throw transitionError(error);
+    }
+
+    if (order.status !== 'Cancelled') {
+      const customer = await getOrderCustomer(transaction, orderRef, order);
+      reverseOrder(transaction, orderRef, order, customer, { release: order.status === 'Paid' });
+    }
+
+    transaction.update(orderRef, {
+      status: 'Refunded',
+      statusHistory: FieldValue.arrayUnion(createStatusEntry({ status: 'Refunded', by, note })),
+      statusUpdatedAt: FieldValue.serverTimestamp(),
+      'payment.refund': {
+        ...order.payment.refund,
+        status: 'issued',
+        amount: order.amounts.total,
+        checkoutId: order.payment.checkoutId || null,
+        referenceNumber: order.payment.referenceNumber || null,
+        issuedAt: FieldValue.serverTimestamp(),
+      },
+    });
+
+    return 'Refunded';
+  });
+};
+
+module.exports = {
+  transitionOrder,
+  releaseOrder,
+  cancelOrder,
+  refundOrder,
+};
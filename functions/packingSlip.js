@@ -0,0 +1,72 @@
+// Packing slips for staff, built from the saved order. They carry what the packer and the courier need:
+// who it goes to (the gift recipient for gifts), where, the courier note and the gift message.
+// Prices are left off when the shopper asked for that (`fulfilment.hidePrices`), e.g. for gifts.
+const { formatPrice } = require('./money');
+const { formatSlot } = require('./deliverySlots');
+const { formatReceiptDate, escapeHtml } = require('./receipt');
+
+const buildPackingSlip = (orderId, order) => {
+  const { fulfilment, amounts } = order;
+  const pickup = fulfilment.method === 'pickup';
+  const showPrices = !fulfilment.hidePrices;
+  const recipient = fulfilment.gift
+    ? { name: fulfilment.gift.recipientName, phone: fulfilment.gift.recipientPhone }
+    : { name: fulfilment.shippingAddress?.recipientName || order.userName, phone: fulfilment.shippingAddress?.phone || null };
+
+  return {
+    orderNumber: orderId,
+    date: formatReceiptDate(order.createdAt),
+    recipient,
+    destination: pickup ? `Pick up at ${fulfilment.storeName}, ${fulfilment.storeAddress}` : fulfilment.address,
+    deliverySlot: !pickup && fulfilment.deliverySlot ? formatSlot(fulfilment.deliverySlot) : null,
+    courierNote: fulfilment.courierNote || null,
+    giftMessage: fulfilment.gift?.message || null,
+    isGift: !!fulfilment.gift,
+    showPrices,
+    lines: order.items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      lineTotal: showPrices ? formatPrice(item.lineTotal) : null,
+    })),
+    total: showPrices ? formatPrice(amounts.total) : null,
+  };
+};
+
+const renderPackingSlipHtml = (slip) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; padding: 24px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .meta { color: #555; font-size: 13px; margin: 2px 0; }
+  .note { border: 1px solid #ccc; padding: 8px; margin-top: 12px; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; font-size: 13px; }
+  th, td { padding: 6px 4px; text-align: left; border-bottom: 1px solid #eee; }
+  .amount { text-align: right; }
+</style>
+</head>
+<body>
+  <h1>Packing Slip${slip.isGift ? ' (Gift)' : ''}</h1>
+  <p class="meta">Order ${escapeHtml(slip.orderNumber)} · ${escapeHtml(slip.date)}</p>
+  <p class="meta">${escapeHtml(slip.recipient.name)}${slip.recipient.phone ? ` · ${escapeHtml(slip.recipient.phone)}` : ''}</p>
+  <p class="meta">${escapeHtml(slip.destination)}</p>
+  ${slip.deliverySlot ? `<p class="meta">${escapeHtml(slip.deliverySlot)}</p>` : ''}
+  ${slip.courierNote ? `<p class="note">Courier note: ${escapeHtml(slip.courierNote)}</p>` : ''}
+  <table>
+    <tr><th>Item</th><th class="amount">Qty</th>${slip.showPrices ? '<th class="amount">Total</th>' : ''}</tr>
+    ${slip.lines.map(line => `<tr>
+      <td>${escapeHtml(line.name)}</td>
+      <td class="amount">${line.quantity}</td>
+      ${slip.showPrices ? `<td class="amount">${escapeHtml(line.lineTotal)}</td>` : ''}
+    </tr>`).join('')}
+    ${slip.showPrices ? `<tr><td><strong>Total</strong></td><td></td><td class="amount"><strong>${escapeHtml(slip.total)}</strong></td></tr>` : ''}
+  </table>
+  ${slip.giftMessage ? `<p class="note">${escapeHtml(slip.giftMessage)}</p>` : ''}
+</body>
+</html>`;
+
+module.exports = {
+  buildPackingSlip,
+  renderPackingSlipHtml,
+};
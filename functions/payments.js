@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { getGateway } = require('./gateways');
+const { getTier, calculatePointsEarned } = require('./loyalty');
+const { recordPoints } = require('./ledger');
+const { releaseOrder } = require('./orders');
+const { getTransitionError, createStatusEntry } = require('./orderStatus');
+
+const PENDING_PAYMENT = 'Pending Payment';
+const PAYMENT_TIMEOUT_MS = 60 * 60 * 1000; // Unpaid checkouts expire after an hour
+
+// PayMongo webhook event types we act on, mapped to the order status they lead to.
+// payment.failed isn't one: a failed attempt leaves the link or session open for the customer to try
+// again, so the order waits for a payment, the poll or its expiry.
+const EVENT_STATUSES = {
+  'link.payment.paid': 'Paid',
+  'checkout_session.payment.paid': 'Paid',
+  'payment.paid': 'Paid',
+};
+
+// What each gateway checkout status means for the order
+const CHECKOUT_STATUSES = {
+  paid: 'Paid',
+  failed: 'Failed',
+  expired: 'Expired',
+};
+
+const db = () => admin.firestore();
+
+// PayMongo signs `${timestamp}.${rawBody}` and sends it as "t=...,te=...,li=..."
+const verifySignature = (header, rawBody, secret) => {
+  if (!header || !secret) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${parts.t}.${rawBody}`)
+    .digest('hex');
+
+  return [parts.te, parts.li].some(signature =>
+    signature &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+};
+
+// Link and checkout session events carry the checkout itself, payment events only its reference number
+const findOrderForResource = async (resource) => {
+  const orders = db().collection('orders');
+  const query = resource.id.startsWith('link_') || resource.id.startsWith('cs_')
+    ? orders.where('payment.checkoutId', '==', resource.id)
+    : orders.where('payment.referenceNumber', '==', resource.attributes?.external_reference_number || '');
+
+  const snapshot = await query.limit(1).get();
+  return snapshot.empty ? null : snapshot.docs[0].ref;
+};
+
+// Moves an order out of 'Pending Payment'. Paid orders earn points, failed,
+// expired or cancelled ones give back their reserved stock, burned points and promo code. Returns false if it was already settled.
+const settlePayment = async (orderRef, status, { by = 'system' } = {}) => {
+  const { FieldValue } = admin.firestore;
+
+  return db().runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists || orderSnap.data().status !== PENDING_PAYMENT || getTransitionError(PENDING_PAYMENT, status)) {
+      return false; // Webhooks are retried, so repeats must be no-ops
+    }
+
+    const order = orderSnap.data();
+    const userRef = db().collection('users').doc(order.userId);
+    const [userSnap, settingsSnap] = await transaction.getAll(userRef, db().collection('settings').doc('loyalty'));
+    const settings = settingsSnap.data();
+    const balance = userSnap.data()?.points || 0;
+    const update = {
+      status,
+      statusHistory: FieldValue.arrayUnion(createStatusEntry({ status, by })),
+      'payment.status': status.toLowerCase(),
+      'payment.updatedAt': FieldValue.serverTimestamp(),
+    };
+
+    if (status === 'Paid') {
+      const amountPaid = order.amounts.total;
+      const lifetimeSpend = userSnap.data()?.lifetimeSpend || 0;
+      const pointsEarned = calculatePointsEarned(amountPaid, settings, lifetimeSpend);
+      transaction.update(userRef, {
+        lifetimeSpend: lifetimeSpend + amountPaid,
+        tier: getTier(lifetimeSpend + amountPaid, settings).name,
+      });
+      if (pointsEarned > 0) {
+        recordPoints(transaction, userRef, {
+          type: 'earn',
+          points: pointsEarned,
+          orderId: orderRef.id,
+          balanceBefore: balance,
+          settings,
+        });
+      }
+      update.pointsEarned = pointsEarned;
+    } else {
+      // An unpaid order shouldn't use up the promo code either
+      releaseOrder(transaction, orderRef, order, { userRef, balance, settings });
+    }
+
+    transaction.update(orderRef, update);
+    return true;
+  });
+};
+
+// A cancelled checkout that its gateway couldn't close (see gateways.js) can still be paid until the gateway
+// expires it. Those are watched in `openCheckouts/{checkoutId}` as { orderId, method, amount, openedAt }
+// so that a payment that still comes in is refunded rather than lost.
+const closeCheckout = async (orderRef, { method, checkoutId, amount }) => {
+  if (await getGateway(method).cancelCheckout(checkoutId)) {
+    return;
+  }
+  await db().collection('openCheckouts').doc(checkoutId).set({
+    orderId: orderRef.id,
+    method,
+    amount,
+    openedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+// Asks the gateway about every watched checkout (or only the order's). One that was paid after all adds a
+// refund request to the order's `payment.lateRefunds` for staff to issue, since the order was closed or paid
+// through another checkout. Checkouts the gateway has closed stop being watched.
+const checkOpenCheckouts = async (orderId = null) => {
+  const { FieldValue } = admin.firestore;
+  let query = db().collection('openCheckouts');
+  if (orderId) {
+    query = query.where('orderId', '==', orderId);
+  }
+
+  const open = await query.get();
+  for (const openSnap of open.docs) {
+    const { orderId: openOrderId, method, amount } = openSnap.data();
+    const { status } = await getGateway(method).getCheckout(openSnap.id);
+    if (status === 'pending') {
+      continue;
+    }
+
+    await db().runTransaction(async (transaction) => {
+      const latestSnap = await transaction.get(openSnap.ref);
+      if (!latestSnap.exists) {
+        return; // Another run got there first
+      }
+      if (status === 'paid') {
+        console.log(`Late payment on checkout ${openSnap.id} of order ${openOrderId}; refund requested`);
+        transaction.update(db().collection('orders').doc(openOrderId), {
+          'payment.lateRefunds': FieldValue.arrayUnion({
+            status: 'requested',
+            amount,
+            checkoutId: openSnap.id,
+            requestedAt: new Date(),
+          }),
+        });
+      }
+      transaction.delete(openSnap.ref);
+    });
+  }
+};
+
+// Asks the order's gateway for the checkout state; used by the scheduled poll, the "check again"
+// button and webhooks that can't be trusted on their own
+const refreshPayment = async (orderSnap) => {
+  const order = orderSnap.data();
+  if (order.status !== PENDING_PAYMENT) {
+    return order.status;
+  }
+
+  const { method, checkoutId } = order.payment;
+  const gateway = getGateway(method);
+  if (checkoutId) {
+    const status = CHECKOUT_STATUSES[(await gateway.getCheckout(checkoutId)).status];
+    if (status) {
+      // Close a failed checkout before giving the order up, so a payment that still comes in is refunded
+      if (status === 'Failed') {
+        await closeCheckout(orderSnap.ref, { method, checkoutId, amount: order.amounts.total });
+      }
+      await settlePayment(orderSnap.ref, status);
+      return status;
+    }
+  }
+
+  // Also expires orders whose checkout was never created
+  if (Date.now() - order.createdAt.toMillis() > PAYMENT_TIMEOUT_MS) {
+    if (checkoutId) {
+      await closeCheckout(orderSnap.ref, { method, checkoutId, amount: order.amounts.total });
+    }
+    await settlePayment(orderSnap.ref, 'Expired');
+    return 'Expired';
+  }
+
+  return PENDING_PAYMENT;
+};
+
+// The customer gave up on paying. Checks the gateway first so a payment that went through isn't lost,
+// then closes the checkout and cancels the order. Returns the order status afterwards.
+const cancelPayment = async (orderSnap) => {
+  const status = await refreshPayment(orderSnap);
+  if (status !== PENDING_PAYMENT) {
+    return status;
+  }
+
+  const { payment: { method, checkoutId }, amounts } = orderSnap.data();
+  if (checkoutId) {
+    await closeCheckout(orderSnap.ref, { method, checkoutId, amount: amounts.total });
+  }
+  await settlePayment(orderSnap.ref, 'Cancelled', { by: 'customer' });
+  return 'Cancelled';
+};
+
+module.exports = {
+  PENDING_PAYMENT,
+  EVENT_STATUSES,
+  verifySignature,
+  findOrderForResource,
+  settlePayment,
+  closeCheckout,
+  checkOpenCheckouts,
+  refreshPayment,
+  cancelPayment,
+};
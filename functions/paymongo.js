@@ -0,0 +1,69 @@
+const axios = require('axios');
+
+// Point this at the local stub (see paymongoStub.js) to work offline.
+// PAYMONGO_SECRET_KEY is a Functions secret and never leaves the server.
+const PAYMONGO_API_URL = process.env.PAYMONGO_API_URL || 'https://api.paymongo.com/v1';
+
+const client = () => axios.create({
+  baseURL: PAYMONGO_API_URL,
+  auth: { username: process.env.PAYMONGO_SECRET_KEY || '', password: '' },
+  headers: {
+    accept: 'application/json',
+    'content-type': 'application/json',
+  },
+});
+
+const createLink = async ({ amount, description, remarks }) => {
+  const response = await client().post('/links', {
+    data: { attributes: { amount, description, remarks } },
+  });
+  return response.data.data;
+};
+
+const getLink = async (linkId) => {
+  const response = await client().get(`/links/${linkId}`);
+  return response.data.data;
+};
+
+const archiveLink = async (linkId) => {
+  const response = await client().post(`/links/${linkId}/archive`);
+  return response.data.data;
+};
+
+// Checkout sessions can be limited to some payment methods (e.g. ['gcash'] or ['card'])
+// and send the customer back to `successUrl` or `cancelUrl` when they're done
+const createCheckoutSession = async ({ amount, description, referenceNumber, paymentMethodTypes, successUrl, cancelUrl }) => {
+  const response = await client().post('/checkout_sessions', {
+    data: {
+      attributes: {
+        line_items: [{ name: description, amount, currency: 'PHP', quantity: 1 }],
+        payment_method_types: paymentMethodTypes,
+        description,
+        reference_number: referenceNumber,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+      },
+    },
+  });
+  return response.data.data;
+};
+
+const getCheckoutSession = async (sessionId) => {
+  const response = await client().get(`/checkout_sessions/${sessionId}`);
+  return response.data.data;
+};
+
+const expireCheckoutSession = async (sessionId) => {
+  const response = await client().post(`/checkout_sessions/${sessionId}/expire`);
+  return response.data.data;
+};
+
+module.exports = {
+  PAYMONGO_API_URL,
+  createLink,
+  getLink,
+  archiveLink,
+  createCheckoutSession,
+  getCheckoutSession,
+  expireCheckoutSession,
+};
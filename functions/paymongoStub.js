@@ -0,0 +1,199 @@
+// Minimal stand-in for the PayMongo links and checkout sessions APIs so payments can be tested offline.
+//
+//   PAYMONGO_WEBHOOK_URL=http://localhost:5001/<project>/<region>/paymongoWebhook \
+//   PAYMONGO_WEBHOOK_SECRET=whsk_test node functions/paymongoStub.js
+//
+// Then run the functions emulator with PAYMONGO_API_URL=http://localhost:4010/v1.
+// Each link's or checkout session's checkout_url opens a page with "Pay" and "Fail" buttons that
+// send the same signed webhook events PayMongo would.
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { formatPrice } = require('./money');
+
+const PORT = process.env.PAYMONGO_STUB_PORT || 4010;
+
+const createPaymongoStub = ({
+  port = PORT,
+  webhookUrl = process.env.PAYMONGO_WEBHOOK_URL,
+  webhookSecret = process.env.PAYMONGO_WEBHOOK_SECRET,
+} = {}) => {
+  const links = {};
+  const sessions = {};
+
+  const sendWebhook = async (type, data) => {
+    if (!webhookUrl) {
+      console.log(`No webhook URL set, skipping ${type}`);
+      return;
+    }
+
+    const body = JSON.stringify({
+      data: {
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type: 'event',
+        attributes: { type, livemode: false, data },
+      },
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto
+      .createHmac('sha256', webhookSecret || '')
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    await axios.post(webhookUrl, body, {
+      headers: {
+        'content-type': 'application/json',
+        'paymongo-signature': `t=${timestamp},te=${signature},li=`,
+      },
+    });
+  };
+
+  // Sessions carry their amount in the line items
+  const getAmount = (resource) => resource.attributes.amount
+    ?? resource.attributes.line_items.reduce((total, item) => total + item.amount * item.quantity, 0);
+
+  // Works for links and checkout sessions
+  const settleLink = async (resource, paid) => {
+    const payment = {
+      id: `pay_${crypto.randomBytes(12).toString('hex')}`,
+      type: 'payment',
+      attributes: {
+        amount: getAmount(resource),
+        status: paid ? 'paid' : 'failed',
+        external_reference_number: resource.attributes.reference_number,
+      },
+    };
+
+    if (!paid) {
+      await sendWebhook('payment.failed', payment);
+    } else if (resource.type === 'checkout_session') {
+      resource.attributes.payments.push(payment);
+      await sendWebhook('checkout_session.payment.paid', resource);
+    } else {
+      resource.attributes.status = 'paid';
+      resource.attributes.payments.push({ data: payment });
+      await sendWebhook('link.payment.paid', resource);
+    }
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body ? JSON.parse(body) : {}));
+  });
+
+  const send = (res, status, payload) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    // /v1/links[/:id[/archive]], /v1/checkout_sessions[/:id[/expire]] and /checkout/:id[/pay|/fail]
+    const segments = req.url.split('?')[0].split('/').filter(Boolean);
+
+    try {
+      if (req.method === 'POST' && segments.join('/') === 'v1/links') {
+        const { data } = await readBody(req);
+        const linkId = `link_${crypto.randomBytes(12).toString('hex')}`;
+        links[linkId] = {
+          id: linkId,
+          type: 'link',
+          attributes: {
+            ...data.attributes,
+            archived: false,
+            currency: 'PHP',
+            status: 'unpaid',
+            reference_number: crypto.randomBytes(4).toString('hex').toUpperCase(),
+            checkout_url: `http://localhost:${port}/checkout/${linkId}`,
+            payments: [],
+          },
+        };
+        send(res, 200, { data: links[linkId] });
+        return;
+      }
+
+      if (segments[0] === 'v1' && segments[1] === 'links') {
+        const link = links[segments[2]];
+        if (!link) {
+          send(res, 404, { errors: [{ code: 'resource_not_found', detail: 'Link not found' }] });
+          return;
+        }
+        if (req.method === 'POST' && segments[3] === 'archive') {
+          link.attributes.archived = true;
+        }
+        send(res, 200, { data: link });
+        return;
+      }
+
+      if (req.method === 'POST' && segments.join('/') === 'v1/checkout_sessions') {
+        const { data } = await readBody(req);
+        const sessionId = `cs_${crypto.randomBytes(12).toString('hex')}`;
+        sessions[sessionId] = {
+          id: sessionId,
+          type: 'checkout_session',
+          attributes: {
+            ...data.attributes,
+            status: 'active',
+            reference_number: data.attributes.reference_number || crypto.randomBytes(4).toString('hex').toUpperCase(),
+            checkout_url: `http://localhost:${port}/checkout/${sessionId}`,
+            payments: [],
+          },
+        };
+        send(res, 200, { data: sessions[sessionId] });
+        return;
+      }
+
+      if (segments[0] === 'v1' && segments[1] === 'checkout_sessions') {
+        const session = sessions[segments[2]];
+        if (!session) {
+          send(res, 404, { errors: [{ code: 'resource_not_found', detail: 'Checkout session not found' }] });
+          return;
+        }
+        if (req.method === 'POST' && segments[3] === 'expire') {
+          session.attributes.status = 'expired';
+        }
+        send(res, 200, { data: session });
+        return;
+      }
+
+      const [, id, action] = segments;
+      const resource = links[id] || sessions[id];
+      if (segments[0] === 'checkout' && resource) {
+        if (req.method === 'POST' && (action === 'pay' || action === 'fail')) {
+          await settleLink(resource, action === 'pay');
+        }
+        const paid = resource.attributes.status === 'paid' || resource.attributes.payments.length > 0;
+        res.writeHead(200, { 'content-type': 'text/html' });
+        res.end(`
+          <h1>PayMongo stub</h1>
+          <p>${resource.attributes.description}: ${formatPrice(getAmount(resource))}</p>
+          <p>Status: ${paid ? 'paid' : resource.attributes.status}</p>
+          <form method="post" action="/checkout/${id}/pay"><button>Pay</button></form>
+          <form method="post" action="/checkout/${id}/fail"><button>Fail</button></form>
+        `);
+        return;
+      }
+
+      send(res, 404, { errors: [{ code: 'resource_not_found', detail: 'Not found' }] });
+    } catch (error) {
+      console.error('PayMongo stub error: ', error);
+      send(res, 500, { errors: [{ code: 'internal_error', detail: error.message }] });
+    }
+  });
+
+  return {
+    links,
+    sessions,
+    settleLink,
+    listen: () => new Promise(resolve => server.listen(port, resolve)),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+if (require.main === module) {
+  createPaymongoStub().listen().then(() => {
+    console.log(`PayMongo stub listening on http://localhost:${PORT}/v1`);
+  });
+}
+
+module.exports = { createPaymongoStub };
@@ -0,0 +1,80 @@
+// Promo code rules shared by the app (review step, order transaction) and the checkout function.
+//
+// A `promotions/{id}` document looks like:
+//   { code: 'SALE10', type: 'percent', value: 10, maxDiscount: 500, minSpend: 1000,
+//     productIds: ['3', '7'], startsAt, expiresAt, usageLimit: 100, perUserLimit: 1,
+//     usedCount: 0, active: true }
+//
+// Types:
+//   percent       - `value` percent off the subtotal, optionally capped at `maxDiscount`
+//   fixed         - `value` PHP off the subtotal
+//   free-shipping - waives the delivery fee
+//   product       - `value` percent off only the items listed in `productIds`
+//
+// Peso amounts on the document (`value`, `maxDiscount`, `minSpend`) are entered in PHP;
+// everything passed in and returned here is in centavos.
+const { fromPesos, formatPrice, percentOf, lineTotal } = require('./money');
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'free-shipping', 'product'];
+
+const toMillis = (date) => (typeof date?.toMillis === 'function' ? date.toMillis() : new Date(date).getTime());
+
+// Returns why the promotion can't be used on this order, or null when it can
+const getPromotionError = (promotion, { subtotal, usedByUser = 0, now = Date.now() }) => {
+  if (!promotion || promotion.active === false || !PROMOTION_TYPES.includes(promotion.type)) {
+    return 'This promo code is not valid.';
+  }
+  if (promotion.startsAt && toMillis(promotion.startsAt) > now) {
+    return 'This promo code is not active yet.';
+  }
+  if (promotion.expiresAt && toMillis(promotion.expiresAt) <= now) {
+    return 'This promo code has expired.';
+  }
+  if (promotion.usageLimit && (promotion.usedCount || 0) >= promotion.usageLimit) {
+    return 'This promo code has been fully redeemed.';
+  }
+  if (promotion.perUserLimit && usedByUser >= promotion.perUserLimit) {
+    return 'You have already used this promo code.';
+  }
+  if (promotion.minSpend && subtotal < fromPesos(promotion.minSpend)) {
+    return `Spend at least ${formatPrice(fromPesos(promotion.minSpend))} to use this promo code.`;
+  }
+  return null;
+};
+
+// items: [{ id, unitPrice, quantity }]. Never discounts more than the subtotal (or the fee, for free shipping).
+const calculateDiscount = (promotion, { items, subtotal, deliveryFee }) => {
+  let discount;
+
+  switch (promotion.type) {
+    case 'percent':
+      discount = percentOf(subtotal, promotion.value);
+      break;
+    case 'fixed':
+      discount = fromPesos(promotion.value);
+      break;
+    case 'free-shipping':
+      return deliveryFee;
+    case 'product': {
+      const productIds = (promotion.productIds || []).map(String);
+      const eligible = items
+        .filter(item => productIds.includes(String(item.id)))
+        .reduce((total, item) => total + lineTotal(item.unitPrice, item.quantity), 0);
+      discount = percentOf(eligible, promotion.value);
+      break;
+    }
+    default:
+      return 0;
+  }
+
+  if (promotion.maxDiscount) {
+    discount = Math.min(discount, fromPesos(promotion.maxDiscount));
+  }
+  return Math.min(discount, subtotal);
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  getPromotionError,
+  calculateDiscount,
+};
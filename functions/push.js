@@ -0,0 +1,64 @@
+const axios = require('axios');
+
+// Push notifications go through a transport with one method:
+//   send(messages) -> resolves to one ticket per message, in order: { status: 'ok' } or
+//                     { status: 'error', message, details: { error } }
+// where each message is { to: expoPushToken, title, body, data }.
+//
+// The default transport is Expo's push service. The emulator and tests can use createMemoryPushTransport,
+// which keeps what it was given in `sent` and delivers nothing, via setPushTransport.
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_BATCH_SIZE = 100; // Expo takes at most this many messages per request
+
+const createExpoPushTransport = ({ accessToken = process.env.EXPO_ACCESS_TOKEN } = {}) => ({
+  send: async (messages) => {
+    const tickets = [];
+    for (let start = 0; start < messages.length; start += EXPO_BATCH_SIZE) {
+      const { data } = await axios.post(EXPO_PUSH_URL, messages.slice(start, start + EXPO_BATCH_SIZE), {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+        },
+      });
+      tickets.push(...data.data);
+    }
+    return tickets;
+  },
+});
+
+const createMemoryPushTransport = ({ failTokens = [] } = {}) => {
+  const sent = [];
+  return {
+    sent,
+    send: async (messages) => {
+      sent.push(...messages);
+      return messages.map(message => (failTokens.includes(message.to)
+        ? { status: 'error', message: `${message.to} is not a registered push token`, details: { error: 'DeviceNotRegistered' } }
+        : { status: 'ok' }));
+    },
+  };
+};
+
+let transport = null;
+
+const getPushTransport = () => {
+  if (!transport) {
+    transport = process.env.FUNCTIONS_EMULATOR === 'true' ? createMemoryPushTransport() : createExpoPushTransport();
+  }
+  return transport;
+};
+
+const setPushTransport = (pushTransport) => {
+  transport = pushTransport;
+};
+
+// Expo push tokens look like ExponentPushToken[xxxxxxxxxxxxxxxxxxxxxx]
+const isExpoPushToken = (token) => typeof token === 'string' && /^Expo(nent)?PushToken\[.+\]$/.test(token);
+
+module.exports = {
+  createExpoPushTransport,
+  createMemoryPushTransport,
+  getPushTransport,
+  setPushTransport,
+  isExpoPushToken,
+};
@@ -0,0 +1,137 @@
+// Order receipts, shared by the app (which prints them to PDF) and the function that emails them.
+// buildReceipt turns a saved order into the lines and totals to show; the render functions lay it out
+// as HTML (for the PDF and the email) or plain text (the email's text part).
+const { formatPrice } = require('./money');
+const { formatPaymentMethod } = require('./orderSchema');
+const { formatSlot } = require('./deliverySlots');
+
+const RECEIPT_TITLE = 'Order Receipt';
+// Orders in these states haven't been placed (or never will be), so they get no receipt
+const NO_RECEIPT_STATUSES = ['Pending Payment', 'Failed', 'Expired', 'Cancelled'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const hasReceipt = (order) => !!order && !NO_RECEIPT_STATUSES.includes(order.status);
+
+// Firestore timestamps, Dates and millis all work
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// "Oct 19, 2026 8:15 PM" in Philippine time
+const formatReceiptDate = (value) => {
+  const manila = new Date(toDate(value).getTime() + 8 * 60 * 60 * 1000);
+  const hours = manila.getUTCHours();
+  const minutes = String(manila.getUTCMinutes()).padStart(2, '0');
+  return `${MONTHS[manila.getUTCMonth()]} ${manila.getUTCDate()}, ${manila.getUTCFullYear()} `
+    + `${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+// Everything a receipt shows, already formatted
+const buildReceipt = (orderId, order) => {
+  const { amounts, fulfilment, payment } = order;
+
+  const adjustments = [{ label: 'Subtotal', amount: formatPrice(amounts.subtotal) }];
+  adjustments.push({
+    label: fulfilment.method === 'pickup' ? 'Delivery fee (store pickup)' : 'Delivery fee',
+    amount: formatPrice(amounts.deliveryFee),
+  });
+  if (amounts.discount > 0) {
+    adjustments.push({
+      label: order.promoCode ? `Discount (${order.promoCode})` : 'Discount',
+      amount: `-${formatPrice(amounts.discount)}`,
+    });
+  }
+  if (amounts.pointsDiscount > 0) {
+    adjustments.push({ label: `Points used (${order.pointsRedeemed} pts)`, amount: `-${formatPrice(amounts.pointsDiscount)}` });
+  }
+
+  return {
+    orderNumber: orderId,
+    date: formatReceiptDate(order.createdAt),
+    customer: order.userName,
+    lines: order.items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: formatPrice(item.unitPrice),
+      lineTotal: formatPrice(item.lineTotal),
+    })),
+    adjustments,
+    total: formatPrice(amounts.total),
+    pointsEarned: order.pointsEarned || 0,
+    payment: `${formatPaymentMethod(payment.method)} (${payment.status})`,
+    fulfilment: fulfilment.method === 'pickup'
+      ? `Pick up at ${fulfilment.storeName}, ${fulfilment.storeAddress}`
+      : [
+        `Deliver to ${fulfilment.address}`,
+        fulfilment.deliverySlot ? ` (${formatSlot(fulfilment.deliverySlot)})` : '',
+      ].join(''),
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderReceiptHtml = (receipt) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; padding: 24px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .meta { color: #555; font-size: 13px; margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; font-size: 13px; }
+  th, td { padding: 6px 4px; text-align: left; border-bottom: 1px solid #eee; }
+  .amount { text-align: right; }
+  .total td { font-weight: bold; font-size: 15px; border-bottom: none; }
+</style>
+</head>
+<body>
+  <h1>${RECEIPT_TITLE}</h1>
+  <p class="meta">Order ${escapeHtml(receipt.orderNumber)}</p>
+  <p class="meta">${escapeHtml(receipt.date)}</p>
+  <p class="meta">${escapeHtml(receipt.customer)}</p>
+  <table>
+    <tr><th>Item</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Total</th></tr>
+    ${receipt.lines.map(line => `<tr>
+      <td>${escapeHtml(line.name)}</td>
+      <td class="amount">${line.quantity}</td>
+      <td class="amount">${escapeHtml(line.unitPrice)}</td>
+      <td class="amount">${escapeHtml(line.lineTotal)}</td>
+    </tr>`).join('')}
+  </table>
+  <table>
+    ${receipt.adjustments.map(row => `<tr><td>${escapeHtml(row.label)}</td><td class="amount">${escapeHtml(row.amount)}</td></tr>`).join('')}
+    <tr class="total"><td>Total</td><td class="amount">${escapeHtml(receipt.total)}</td></tr>
+  </table>
+  ${receipt.pointsEarned > 0 ? `<p class="meta">Points earned: ${receipt.pointsEarned}</p>` : ''}
+  <p class="meta">Payment: ${escapeHtml(receipt.payment)}</p>
+  <p class="meta">${escapeHtml(receipt.fulfilment)}</p>
+</body>
+</html>`;
+
+const renderReceiptText = (receipt) => [
+  RECEIPT_TITLE,
+  `Order ${receipt.orderNumber}`,
+  receipt.date,
+  receipt.customer,
+  '',
+  ...receipt.lines.map(line => `${line.quantity} x ${line.name} @ ${line.unitPrice} = ${line.lineTotal}`),
+  '',
+  ...receipt.adjustments.map(row => `${row.label}: ${row.amount}`),
+  `Total: ${receipt.total}`,
+  ...(receipt.pointsEarned > 0 ? [`Points earned: ${receipt.pointsEarned}`] : []),
+  `Payment: ${receipt.payment}`,
+  receipt.fulfilment,
+].join('\n');
+
+module.exports = {
+  RECEIPT_TITLE,
+  hasReceipt,
+  formatReceiptDate,
+  escapeHtml,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptText,
+};
@@ -0,0 +1,61 @@
+const admin = require('firebase-admin');
+const { sendMail } = require('./mail');
+const { hasReceipt, buildReceipt, renderReceiptHtml, renderReceiptText } = require('./receipt');
+const { renderReceiptPdf } = require('./receiptPdf');
+
+const db = () => admin.firestore();
+
+// Emails the order's receipt to the customer's sign-in address, with the receipt attached as a PDF.
+// Orders that haven't been placed or paid get none, and one that already went out is only sent again
+// with `resend`. `receiptEmail` on the order records how it went. Returns true if a receipt was sent.
+const sendReceiptEmail = async (orderRef, { resend = false } = {}) => {
+  const { FieldValue } = admin.firestore;
+
+  // Claim the receipt first so retried or overlapping triggers don't send it twice
+  const order = await db().runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    const current = orderSnap.data();
+    if (!orderSnap.exists || !hasReceipt(current)) {
+      return null;
+    }
+    const previous = current.receiptEmail?.status;
+    if (previous && previous !== 'failed' && !resend) {
+      return null;
+    }
+    transaction.update(orderRef, { receiptEmail: { status: 'sending', updatedAt: FieldValue.serverTimestamp() } });
+    return current;
+  });
+  if (!order) {
+    return false;
+  }
+
+  try {
+    const { email } = await admin.auth().getUser(order.userId);
+    if (!email) {
+      await orderRef.update({ receiptEmail: { status: 'skipped', updatedAt: FieldValue.serverTimestamp() } });
+      return false;
+    }
+
+    const receipt = buildReceipt(orderRef.id, order);
+    await sendMail({
+      to: email,
+      subject: `Your receipt for order ${orderRef.id}`,
+      text: renderReceiptText(receipt),
+      html: renderReceiptHtml(receipt),
+      attachments: [{
+        filename: `receipt-${orderRef.id}.pdf`,
+        content: await renderReceiptPdf(receipt),
+        contentType: 'application/pdf',
+      }],
+    });
+    await orderRef.update({ receiptEmail: { status: 'sent', to: email, updatedAt: FieldValue.serverTimestamp() } });
+    return true;
+  } catch (error) {
+    await orderRef.update({
+      receiptEmail: { status: 'failed', error: error.message, updatedAt: FieldValue.serverTimestamp() },
+    });
+    throw error;
+  }
+};
+
+module.exports = { sendReceiptEmail };
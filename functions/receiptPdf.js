@@ -0,0 +1,77 @@
+const PDFDocument = require('pdfkit');
+const { RECEIPT_TITLE } = require('./receipt');
+
+const MARGIN = 48;
+const ROW_GAP = 6;
+// Item, quantity, unit price and line total, as fractions of the page width inside the margins
+const COLUMNS = [0.46, 0.12, 0.21, 0.21];
+
+const GREY = '#555555';
+const TEXT = '#222222';
+const RULE = '#eeeeee';
+
+// Lays out a receipt (see buildReceipt in receipt.js) as a PDF with pdfkit, following the receipt HTML the
+// app prints: the heading and order details, the items, the totals and the payment and fulfilment lines,
+// on US Letter pages. Resolves to the PDF as a Buffer.
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN, info: { Title: `Receipt ${receipt.orderNumber}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const width = doc.page.width - MARGIN * 2;
+  const columnWidths = COLUMNS.map(share => share * width);
+  const columnXs = columnWidths.map((_, index) => MARGIN + columnWidths.slice(0, index).reduce((sum, w) => sum + w, 0));
+
+  // Cells are [text, align] in column order; the first column wraps, so it sets the row height
+  const drawRow = (cells, { font = 'Helvetica', fontSize = 10, widths = columnWidths, xs = columnXs } = {}) => {
+    doc.font(font).fontSize(fontSize).fillColor(TEXT);
+    const height = Math.max(...cells.map(([text], index) => doc.heightOfString(String(text), { width: widths[index] })));
+    if (doc.y + height + ROW_GAP > doc.page.height - MARGIN) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    cells.forEach(([text, align], index) => {
+      doc.text(String(text), xs[index], top, { width: widths[index], align });
+    });
+    doc.y = top + height + ROW_GAP;
+    doc.moveTo(MARGIN, doc.y - ROW_GAP / 2).lineTo(MARGIN + width, doc.y - ROW_GAP / 2).strokeColor(RULE).stroke();
+  };
+
+  const drawMeta = (text) => {
+    doc.font('Helvetica').fontSize(10).fillColor(GREY).text(text, MARGIN, doc.y, { width });
+    doc.moveDown(0.2);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT).text(RECEIPT_TITLE, MARGIN, MARGIN);
+  doc.moveDown(0.3);
+  drawMeta(`Order ${receipt.orderNumber}`);
+  drawMeta(receipt.date);
+  drawMeta(receipt.customer || '');
+  doc.moveDown();
+
+  drawRow([['Item', 'left'], ['Qty', 'right'], ['Unit price', 'right'], ['Total', 'right']], { font: 'Helvetica-Bold' });
+  receipt.lines.forEach(line => {
+    drawRow([[line.name, 'left'], [line.quantity, 'right'], [line.unitPrice, 'right'], [line.lineTotal, 'right']]);
+  });
+  doc.moveDown();
+
+  const totalsWidths = [width * 0.7, width * 0.3];
+  const totalsXs = [MARGIN, MARGIN + totalsWidths[0]];
+  receipt.adjustments.forEach(row => {
+    drawRow([[row.label, 'left'], [row.amount, 'right']], { widths: totalsWidths, xs: totalsXs });
+  });
+  drawRow([['Total', 'left'], [receipt.total, 'right']], { font: 'Helvetica-Bold', fontSize: 12, widths: totalsWidths, xs: totalsXs });
+  doc.moveDown();
+
+  if (receipt.pointsEarned > 0) {
+    drawMeta(`Points earned: ${receipt.pointsEarned}`);
+  }
+  drawMeta(`Payment: ${receipt.payment}`);
+  drawMeta(receipt.fulfilment);
+
+  doc.end();
+});
+
+module.exports = { renderReceiptPdf };
@@ -0,0 +1,85 @@
+// Rewrites every order that is older than the current schema into the current shape (see ../orderSchema.js).
+//
+//   node scripts/migrateOrders.js           # dry run: reports what would change
+//   node scripts/migrateOrders.js --write   # saves the converted orders
+//
+// Run from the functions directory with credentials for the project, e.g. GOOGLE_APPLICATION_CREDENTIALS
+// pointing at a service account key, or FIRESTORE_EMULATOR_HOST to try it against the emulator first.
+// Orders that still break the schema after conversion are listed and left untouched.
+// It's safe to run again: orders already at the current version are skipped.
+const admin = require('firebase-admin');
+const { ORDER_SCHEMA_VERSION, upgradeOrder, getOrderErrors } = require('../orderSchema');
+
+const PAGE_SIZE = 200;
+
+admin.initializeApp();
+const db = admin.firestore();
+
+// Orders from before userName was stored take it from the user's profile
+const userNames = new Map();
+const getUserName = async (userId) => {
+  if (!userNames.has(userId)) {
+    const userSnap = await db.collection('users').doc(String(userId)).get();
+    userNames.set(userId, userSnap.data()?.displayName || '');
+  }
+  return userNames.get(userId);
+};
+
+const migrateOrders = async ({ write }) => {
+  const counts = { current: 0, migrated: 0, invalid: 0 };
+  let lastSnap = null;
+
+  for (;;) {
+    let page = db.collection('orders').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastSnap) {
+      page = page.startAfter(lastSnap);
+    }
+    const snapshot = await page.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    for (const orderSnap of snapshot.docs) {
+      const order = orderSnap.data();
+      if (order.schemaVersion === ORDER_SCHEMA_VERSION) {
+        counts.current += 1;
+        continue;
+      }
+
+      const converted = upgradeOrder({
+        ...order,
+        userName: order.userName || (order.userId ? await getUserName(order.userId) : ''),
+      });
+      const errors = getOrderErrors(converted);
+      if (errors.length > 0) {
+        counts.invalid += 1;
+        console.log(`Skipping order ${orderSnap.id}: ${errors.join(' ')}`);
+        continue;
+      }
+
+      counts.migrated += 1;
+      // A full set, so the fields that moved into `fulfilment` and `payment` are dropped
+      batch.set(orderSnap.ref, converted);
+    }
+    if (write) {
+      await batch.commit();
+    }
+    lastSnap = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return counts;
+};
+
+const write = process.argv.includes('--write');
+migrateOrders({ write })
+  .then(({ current, migrated, invalid }) => {
+    console.log(`${migrated} orders ${write ? 'migrated' : 'would be migrated'}, ${current} already current, ${invalid} skipped.`);
+    if (!write && migrated > 0) {
+      console.log('Run again with --write to save them.');
+    }
+  })
+  .catch(error => {
+    console.error('Error migrating orders: ', error);
+    process.exitCode = 1;
+  });
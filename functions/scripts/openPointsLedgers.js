@@ -0,0 +1,70 @@
+// Gives every user with points from before the ledger existed their 'opening' lot (see ../ledger.js).
+// Run it before the app that writes ledger entries goes live; the nightly expireLoyaltyPoints job does the
+// same for anyone it missed, including users who ordered before their lot was written.
+//
+//   node scripts/openPointsLedgers.js           # dry run: reports what would be written
+//   node scripts/openPointsLedgers.js --write   # writes the opening lots
+//
+// Run from the functions directory with credentials for the project, e.g. GOOGLE_APPLICATION_CREDENTIALS
+// pointing at a service account key, or FIRESTORE_EMULATOR_HOST to try it against the emulator first.
+// It's safe to run again: users who already have an opening lot are skipped.
+const admin = require('firebase-admin');
+const { getOpeningEntry, openUserLedger } = require('../ledger');
+
+const PAGE_SIZE = 200;
+
+admin.initializeApp();
+const db = admin.firestore();
+
+const openPointsLedgers = async ({ write }) => {
+  const settings = (await db.collection('settings').doc('loyalty').get()).data();
+  const counts = { opened: 0, points: 0 };
+  let lastSnap = null;
+
+  for (;;) {
+    let page = db.collection('users').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastSnap) {
+      page = page.startAfter(lastSnap);
+    }
+    const snapshot = await page.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const userSnap of snapshot.docs) {
+      let points;
+      if (write) {
+        points = await openUserLedger(userSnap.ref);
+      } else {
+        const ledger = await userSnap.ref.collection('pointsLedger').get();
+        const entry = getOpeningEntry({
+          balance: userSnap.data().points || 0,
+          entries: ledger.docs.map(entrySnap => entrySnap.data()),
+          settings,
+        });
+        points = entry ? entry.points : 0;
+      }
+      if (points > 0) {
+        counts.opened += 1;
+        counts.points += points;
+        console.log(`User ${userSnap.id}: opening lot of ${points} points`);
+      }
+    }
+    lastSnap = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return counts;
+};
+
+const write = process.argv.includes('--write');
+openPointsLedgers({ write })
+  .then(({ opened, points }) => {
+    console.log(`${opened} users ${write ? 'given' : 'would get'} an opening lot, ${points} points in all.`);
+    if (!write && opened > 0) {
+      console.log('Run again with --write to save them.');
+    }
+  })
+  .catch(error => {
+    console.error('Error opening points ledgers: ', error);
+    process.exitCode = 1;
+  });
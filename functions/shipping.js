@@ -0,0 +1,103 @@
+// Shipping rules shared by the app (review step) and the checkout function (charged amount).
+// Fees are in centavos: `base` covers the first kilo and `perKg` each kilo after that.
+// Orders at or above `freeShippingMin` ship for free.
+const SHIPPING_ZONES = {
+  'Metro Manila': { base: 10000, perKg: 2000, freeShippingMin: 500000 },
+  Luzon: { base: 15000, perKg: 3000, freeShippingMin: 1000000 },
+  Visayas: { base: 20000, perKg: 4000, freeShippingMin: 1500000 },
+  Mindanao: { base: 22000, perKg: 4500, freeShippingMin: 1500000 },
+};
+
+const DEFAULT_ITEM_WEIGHT_KG = 0.5;
+const VOLUMETRIC_DIVISOR = 3500; // Courier rule: L x W x H in cm / 3500 = kg
+
+const NCR_NAMES = ['metro manila', 'ncr', 'national capital region'];
+const NCR_CITIES = [
+  'caloocan', 'las pinas', 'makati', 'malabon', 'mandaluyong', 'manila', 'marikina', 'muntinlupa',
+  'navotas', 'paranaque', 'pasay', 'pasig', 'pateros', 'quezon', 'san juan', 'taguig', 'valenzuela',
+];
+const LUZON_PROVINCES = [
+  'abra', 'apayao', 'benguet', 'ifugao', 'kalinga', 'mountain province', 'ilocos norte', 'ilocos sur',
+  'la union', 'pangasinan', 'batanes', 'cagayan', 'isabela', 'nueva vizcaya', 'quirino', 'aurora', 'bataan',
+  'bulacan', 'nueva ecija', 'pampanga', 'tarlac', 'zambales', 'batangas', 'cavite', 'laguna', 'quezon',
+  'rizal', 'marinduque', 'occidental mindoro', 'oriental mindoro', 'palawan', 'romblon', 'albay',
+  'camarines norte', 'camarines sur', 'catanduanes', 'masbate', 'sorsogon',
+];
+const VISAYAS_PROVINCES = [
+  'aklan', 'antique', 'capiz', 'guimaras', 'iloilo', 'negros occidental', 'bohol', 'cebu',
+  'negros oriental', 'siquijor', 'biliran', 'eastern samar', 'leyte', 'northern samar', 'samar',
+  'southern leyte',
+];
+const MINDANAO_PROVINCES = [
+  'zamboanga del norte', 'zamboanga del sur', 'zamboanga sibugay', 'bukidnon', 'camiguin',
+  'lanao del norte', 'misamis occidental', 'misamis oriental', 'davao de oro', 'davao del norte',
+  'davao del sur', 'davao occidental', 'davao oriental', 'cotabato', 'sarangani', 'south cotabato',
+  'sultan kudarat', 'agusan del norte', 'agusan del sur', 'dinagat islands', 'surigao del norte',
+  'surigao del sur', 'basilan', 'lanao del sur', 'maguindanao del norte', 'maguindanao del sur',
+  'sulu', 'tawi-tawi',
+];
+
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // Las Piñas -> las pinas
+  .replace(/^city of /, '')
+  .replace(/ city$/, '')
+  .trim();
+
+// The province decides the zone. Metro Manila city names also exist in other provinces (San Juan, Batangas;
+// Quezon, Bukidnon), so the city only counts when there's no province to go by.
+// Returns null for addresses with neither (e.g. legacy free-text ones) and for provinces we don't ship to.
+const getShippingZone = (address) => {
+  const province = normalizeName(address?.province);
+  const city = normalizeName(address?.city);
+  if (!province) {
+    return NCR_CITIES.includes(city) ? 'Metro Manila' : null;
+  }
+
+  if (NCR_NAMES.includes(province)) {
+    return 'Metro Manila';
+  }
+  if (VISAYAS_PROVINCES.includes(province)) {
+    return 'Visayas';
+  }
+  if (MINDANAO_PROVINCES.includes(province)) {
+    return 'Mindanao';
+  }
+  if (LUZON_PROVINCES.includes(province)) {
+    return 'Luzon';
+  }
+  return null;
+};
+
+// Bulky but light items are charged by size
+const getItemWeight = ({ weight, dimensions }) => {
+  const actual = weight || DEFAULT_ITEM_WEIGHT_KG;
+  if (!dimensions) {
+    return actual;
+  }
+  const { length = 0, width = 0, height = 0 } = dimensions;
+  return Math.max(actual, (length * width * height) / VOLUMETRIC_DIVISOR);
+};
+
+// items: [{ weight, dimensions, quantity }], subtotal and the returned fee in centavos
+const calculateShippingFee = ({ address, items, subtotal }) => {
+  const zone = getShippingZone(address);
+  if (!zone) {
+    return { zone: null, weight: 0, fee: 0, freeShipping: false };
+  }
+
+  const rules = SHIPPING_ZONES[zone];
+  const weight = Math.max(1, Math.ceil(items.reduce((total, item) => total + getItemWeight(item) * item.quantity, 0)));
+  const freeShipping = subtotal >= rules.freeShippingMin;
+  const fee = freeShipping ? 0 : rules.base + rules.perKg * (weight - 1);
+
+  return { zone, weight, fee, freeShipping };
+};
+
+module.exports = {
+  SHIPPING_ZONES,
+  getShippingZone,
+  getItemWeight,
+  calculateShippingFee,
+};
@@ -0,0 +1,103 @@
+// Minimal stand-in for an SMTP server so receipt emails can be tested offline.
+//
+//   node functions/smtpStub.js
+//
+// Then run the functions emulator with SMTP_URL=smtp://localhost:2525. Every message is printed
+// and kept in `messages`; nothing is delivered. It speaks just enough SMTP for nodemailer
+// (no TLS or auth), so don't point anything else at it.
+const net = require('net');
+
+const PORT = process.env.SMTP_STUB_PORT || 2525;
+
+const createSmtpStub = ({ port = PORT, onMessage } = {}) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let envelope = { from: null, to: [] };
+    let data = null; // Collects the message between DATA and the lone "."
+    let buffer = '';
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handleCommand = (line) => {
+      const [command] = line.split(' ');
+      switch (command.toUpperCase()) {
+        case 'EHLO':
+        case 'HELO':
+          reply('250 smtp-stub');
+          break;
+        case 'MAIL':
+          envelope = { from: line.slice(line.indexOf(':') + 1).trim(), to: [] };
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+          reply('250 OK');
+          break;
+        case 'DATA':
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+          break;
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    };
+
+    const handleDataLine = (line) => {
+      if (line !== '.') {
+        data.push(line.startsWith('..') ? line.slice(1) : line);
+        return;
+      }
+      const message = { ...envelope, raw: data.join('\r\n'), receivedAt: new Date() };
+      data = null;
+      messages.push(message);
+      console.log(`SMTP stub received mail from ${message.from} to ${message.to.join(', ')}\n${message.raw}\n`);
+      if (onMessage) {
+        onMessage(message);
+      }
+      reply('250 OK: queued');
+    };
+
+    reply('220 smtp-stub ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index = buffer.indexOf('\r\n');
+      while (index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data) {
+          handleDataLine(line);
+        } else {
+          handleCommand(line);
+        }
+        index = buffer.indexOf('\r\n');
+      }
+    });
+    socket.on('error', error => console.error('SMTP stub socket error: ', error));
+  });
+
+  return {
+    messages,
+    listen: () => new Promise(resolve => server.listen(port, resolve)),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+if (require.main === module) {
+  createSmtpStub().listen().then(() => {
+    console.log(`SMTP stub listening on smtp://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createSmtpStub };
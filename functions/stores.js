@@ -0,0 +1,75 @@
+// Store pickup rules shared by the checkout, the order transaction and the staff functions.
+//
+// A `stores/{id}` document looks like:
+//   { name: 'SM Megamall', address: 'EDSA cor. Doña Julia Vargas Ave, Mandaluyong',
+//     hours: { 1: { open: '10:00', close: '21:00' }, ... }, stock: { '3': 12, '7': 0 }, active: true }
+//
+// `hours` is keyed by weekday (0 = Sunday) in Philippine time; days that are missing are closed.
+// `stock` is what that store has on hand, by product id. Pickup orders draw from it instead of `products/{id}.stock`.
+const { formatTime } = require('./deliverySlots');
+
+// No 0/O or 1/I, so codes read out over the counter can't be mistaken
+const PICKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PICKUP_CODE_LENGTH = 6;
+const PICKUP_QR_PREFIX = 'pickup';
+
+// Weekday and "HH:MM" for the given moment in Philippine time
+const toManilaTime = (date) => {
+  const manila = new Date(date.getTime() + 8 * 60 * 60 * 1000);
+  return {
+    day: manila.getUTCDay(),
+    time: `${String(manila.getUTCHours()).padStart(2, '0')}:${String(manila.getUTCMinutes()).padStart(2, '0')}`,
+  };
+};
+
+const isStoreOpen = (store, now = new Date()) => {
+  const { day, time } = toManilaTime(now);
+  const hours = store.hours?.[day];
+  return !!hours && time >= hours.open && time < hours.close;
+};
+
+// "Open today 10:00 AM - 9:00 PM" or "Closed today"
+const formatStoreHours = (store, now = new Date()) => {
+  const hours = store.hours?.[toManilaTime(now).day];
+  return hours ? `Open today ${formatTime(hours.open)} - ${formatTime(hours.close)}` : 'Closed today';
+};
+
+const getStoreStock = (store, productId) => store.stock?.[String(productId)] || 0;
+
+// Returns why the store can't take this pickup order, or null when it can. items: [{ id, name, quantity }]
+const getStoreError = (store, items) => {
+  if (!store || store.active === false) {
+    return 'This store is not taking pickup orders.';
+  }
+  const short = items.find(item => getStoreStock(store, item.id) < item.quantity);
+  if (short) {
+    return `Only ${getStoreStock(store, short.id)} of ${short.name} left at ${store.name}.`;
+  }
+  return null;
+};
+
+// `randomBytes` should come from a secure source (expo-crypto in the app, crypto on the server),
+// since the code is what staff check before handing over the order
+const createPickupCode = (randomBytes) => Array.from(
+  randomBytes.slice(0, PICKUP_CODE_LENGTH),
+  byte => PICKUP_CODE_ALPHABET[byte % PICKUP_CODE_ALPHABET.length]
+).join('');
+
+// What the customer's QR code encodes and the staff scanner reads back
+const getPickupQrValue = (orderId, pickupCode) => `${PICKUP_QR_PREFIX}:${orderId}:${pickupCode}`;
+
+const parsePickupQrValue = (value) => {
+  const [prefix, orderId, pickupCode] = String(value || '').split(':');
+  return prefix === PICKUP_QR_PREFIX && orderId && pickupCode ? { orderId, pickupCode } : null;
+};
+
+module.exports = {
+  PICKUP_CODE_LENGTH,
+  isStoreOpen,
+  formatStoreHours,
+  getStoreStock,
+  getStoreError,
+  createPickupCode,
+  getPickupQrValue,
+  parsePickupQrValue,
+};
@@ -0,0 +1,29 @@
+// Places the fixture geocoder knows about. Add one whenever a test needs a new pin.
+export const GEOCODER_FIXTURES = [
+  {
+    latitude: 14.5547,
+    longitude: 121.0244,
+    fields: { street: '6750 Ayala Avenue', barangay: 'San Lorenzo', city: 'Makati City', province: 'Metro Manila', zip: '1223' },
+  },
+  {
+    latitude: 14.6507,
+    longitude: 121.0494,
+    fields: { street: 'Quezon Memorial Circle', barangay: 'Central', city: 'Quezon City', province: 'Metro Manila', zip: '1100' },
+  },
+  {
+    latitude: 10.3181,
+    longitude: 123.9054,
+    fields: { street: 'Osmeña Boulevard', barangay: 'Capitol Site', city: 'Cebu City', province: 'Cebu', zip: '6000' },
+  },
+  {
+    latitude: 7.0731,
+    longitude: 125.6128,
+    fields: { street: 'San Pedro Street', barangay: 'Poblacion', city: 'Davao City', province: 'Davao del Sur', zip: '8000' },
+  },
+  {
+    // Outside the delivery area, for checking that it gets blocked
+    latitude: 5.9804,
+    longitude: 116.0735,
+    fields: { street: 'Jalan Gaya', barangay: '', city: 'Kota Kinabalu', province: 'Sabah', zip: '88000' },
+  },
+];
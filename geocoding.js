@@ -0,0 +1,69 @@
+import * as Location from 'expo-location';
+import { GEOCODER_FIXTURES } from './geocoderFixtures';
+
+// A geocoder turns a map pin into address fields for the address form:
+//   reverseGeocode({ latitude, longitude }) -> { street, barangay, city, province, zip } (empty strings when unknown)
+// The app uses the device geocoder through expo-location. Set EXPO_PUBLIC_GEOCODER=fixture (or call
+// setGeocoder) to use the offline fixture provider instead, e.g. in tests or the emulator.
+
+const EMPTY_FIELDS = { street: '', barangay: '', city: '', province: '', zip: '' };
+
+const FIXTURE_MATCH_KM = 2; // How close a pin has to be to a fixture to use it
+
+export const createExpoGeocoder = () => ({
+  reverseGeocode: async ({ latitude, longitude }) => {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') {
+      throw new Error('Location permission is needed to look up this address.');
+    }
+
+    const [result] = await Location.reverseGeocodeAsync({ latitude, longitude });
+    if (!result) {
+      return EMPTY_FIELDS;
+    }
+    // In the Philippines `subregion` is the province, except in Metro Manila where it's empty
+    return {
+      street: [result.streetNumber, result.street || result.name].filter(Boolean).join(' '),
+      barangay: result.district || '',
+      city: result.city || '',
+      province: result.subregion || result.region || '',
+      zip: result.postalCode || '',
+    };
+  },
+});
+
+const distanceKm = (a, b) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+// Answers from a fixed list of places, without network or permissions
+export const createFixtureGeocoder = (fixtures = GEOCODER_FIXTURES) => ({
+  reverseGeocode: async (coordinate) => {
+    const nearest = [...fixtures].sort((a, b) => distanceKm(coordinate, a) - distanceKm(coordinate, b))[0];
+    if (!nearest || distanceKm(coordinate, nearest) > FIXTURE_MATCH_KM) {
+      return EMPTY_FIELDS;
+    }
+    return { ...EMPTY_FIELDS, ...nearest.fields };
+  },
+});
+
+let geocoder = process.env.EXPO_PUBLIC_GEOCODER === 'fixture' ? createFixtureGeocoder() : createExpoGeocoder();
+
+export const getGeocoder = () => geocoder;
+
+export const setGeocoder = (provider) => {
+  geocoder = provider;
+};
+
+// Where the picker starts when the address has no pin and the device location isn't available
+export const DEFAULT_MAP_REGION = {
+  latitude: 14.5995,
+  longitude: 120.9842,
+  latitudeDelta: 0.05,
+  longitudeDelta: 0.05,
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  testEnvironment: 'node',
+  moduleNameMapper: {
+    // Modules like paymentProviders.js require images, which only the app bundler can load
+    '\\.(png|jpe?g|gif|webp)$': '<rootDir>/__mocks__/fileMock.js',
+  },
+};
@@ -0,0 +1,89 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import { firestore } from '../config/firebase';
+import {
+  doc,
+  collection,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+  updateDoc,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+} from 'firebase/firestore';
+
+// The functions write order and payment updates to `users/{userId}/notifications` and push them to the
+// Expo push tokens saved on the user (see functions/notifications.js).
+//
+// Call registerForPushNotifications(userId) once the user has signed in (e.g. in App.js), and
+// unregisterPushToken before signing them out so the next user of the device doesn't get their updates.
+
+const INBOX_SIZE = 50;
+
+// Show pushes that arrive while the app is open, too
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({ shouldShowAlert: true, shouldPlaySound: true, shouldSetBadge: false }),
+});
+
+// Asks for permission and saves this device's Expo push token on the user. Resolves to the token,
+// or null when there's nothing to register (a simulator, or the user said no).
+export const registerForPushNotifications = async (userId) => {
+  if (!Device.isDevice) {
+    return null;
+  }
+
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync('default', {
+      name: 'Order updates',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+
+  let { status } = await Notifications.getPermissionsAsync();
+  if (status !== 'granted') {
+    ({ status } = await Notifications.requestPermissionsAsync());
+  }
+  if (status !== 'granted') {
+    return null;
+  }
+
+  const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+  const { data: token } = await Notifications.getExpoPushTokenAsync({ projectId });
+  await updateDoc(doc(firestore, 'users', userId), { expoPushTokens: arrayUnion(token) });
+  return token;
+};
+
+export const unregisterPushToken = (userId, token) =>
+  updateDoc(doc(firestore, 'users', userId), { expoPushTokens: arrayRemove(token) });
+
+// Calls onChange with the newest notifications first whenever the inbox changes
+export const watchNotifications = (userId, onChange, onError) =>
+  onSnapshot(
+    query(collection(firestore, 'users', userId, 'notifications'), orderBy('createdAt', 'desc'), limit(INBOX_SIZE)),
+    (snapshot) => onChange(snapshot.docs.map(notificationSnap => ({ id: notificationSnap.id, ...notificationSnap.data() }))),
+    onError
+  );
+
+export const markNotificationRead = (userId, notificationId) =>
+  updateDoc(doc(firestore, 'users', userId, 'notifications', notificationId), { read: true });
+
+export const markAllNotificationsRead = async (userId, notifications) => {
+  const batch = writeBatch(firestore);
+  notifications
+    .filter(notification => !notification.read)
+    .forEach(notification => batch.update(doc(firestore, 'users', userId, 'notifications', notification.id), { read: true }));
+  await batch.commit();
+};
+
+// Calls onOpen with the notification's data (e.g. { orderId, notificationId }) when the user taps a push.
+// Returns the function that stops listening.
+export const onNotificationOpened = (onOpen) => {
+  const subscription = Notifications.addNotificationResponseReceivedListener(response => {
+    onOpen(response.notification.request.content.data || {});
+  });
+  return () => subscription.remove();
+};
@@ -0,0 +1,151 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { placeOrder } from './orderService';
+import { toPaymentMethodId } from './functions/orderSchema';
+
+// COD and Points orders placed while offline wait here until they can be written.
+// Every entry keeps the order id it was queued with, and placeOrder treats that id as an
+// idempotency key, so a retry after a lost response returns the same order instead of a second one.
+//
+// Call startOrderQueue() once when the app starts (e.g. in App.js) so the queue is sent as soon as
+// the device is back online.
+
+const QUEUE_KEY = 'orderQueue:v1';
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Only payments that need nothing from a remote service can be queued; online payments have to open the gateway
+export const QUEUEABLE_PAYMENT_METHODS = ['cod', 'points'];
+
+// Firestore reports these when it can't reach the server; anything else is a real rejection
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'network-request-failed'];
+
+export const isNetworkError = (error) => NETWORK_ERROR_CODES.includes(error?.code);
+
+export const isOnline = async () => {
+  const state = await NetInfo.fetch();
+  return Boolean(state.isConnected) && state.isInternetReachable !== false;
+};
+
+const listeners = new Set();
+let processing = null;
+let retryTimer = null;
+
+const readQueue = async () => JSON.parse((await AsyncStorage.getItem(QUEUE_KEY)) || '[]');
+
+const writeQueue = async (queue) => {
+  await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  listeners.forEach(listener => listener(queue));
+};
+
+const getRetryDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** attempts, MAX_DELAY_MS);
+
+export const getQueuedOrders = readQueue;
+
+// Calls listener with the queue now and after every change. Returns the unsubscribe function.
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  readQueue().then(listener).catch(error => console.error("Error reading order queue: ", error));
+  return () => listeners.delete(listener);
+};
+
+// `order` is what would be passed to placeOrder, including its orderId
+export const enqueueOrder = async (order) => {
+  if (!QUEUEABLE_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    throw new Error(`${order.paymentMethod} orders can't be queued.`);
+  }
+
+  const queue = await readQueue();
+  if (!queue.some(entry => entry.orderId === order.orderId)) {
+    queue.push({
+      orderId: order.orderId,
+      order,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      queuedAt: Date.now(),
+      error: null,
+    });
+    await writeQueue(queue);
+  }
+  return order.orderId;
+};
+
+// Removes an entry, e.g. after the user has seen why it was rejected
+export const dismissQueuedOrder = async (orderId) => {
+  await writeQueue((await readQueue()).filter(entry => entry.orderId !== orderId));
+};
+
+const scheduleRetry = (queue) => {
+  clearTimeout(retryTimer);
+  const waiting = queue.filter(entry => entry.status === 'queued');
+  if (waiting.length === 0) {
+    return;
+  }
+  const delay = Math.max(0, Math.min(...waiting.map(entry => entry.nextAttemptAt)) - Date.now());
+  retryTimer = setTimeout(() => processQueue(), delay);
+};
+
+const sendDueOrders = async () => {
+  if (!(await isOnline())) {
+    return false; // The NetInfo listener starts the next run once the device is back online
+  }
+
+  for (const { orderId } of await readQueue()) {
+    // Re-read each time so entries added or dismissed meanwhile aren't lost
+    const entry = (await readQueue()).find(queued => queued.orderId === orderId);
+    if (!entry || entry.status !== 'queued' || entry.nextAttemptAt > Date.now()) {
+      continue;
+    }
+
+    let update;
+    try {
+      // Entries queued before payment methods had ids still carry the label
+      await placeOrder({ ...entry.order, paymentMethod: toPaymentMethodId(entry.order.paymentMethod) });
+      update = null; // Placed now or by an earlier attempt whose response never arrived
+    } catch (error) {
+      console.error(`Error sending queued order ${orderId}: `, error);
+      update = isNetworkError(error)
+        ? { attempts: entry.attempts + 1, nextAttemptAt: Date.now() + getRetryDelay(entry.attempts + 1), error: null }
+        : { status: 'failed', error: error.message };
+    }
+
+    const queue = await readQueue();
+    await writeQueue(update
+      ? queue.map(queued => (queued.orderId === orderId ? { ...queued, ...update } : queued))
+      : queue.filter(queued => queued.orderId !== orderId));
+  }
+  return true;
+};
+
+// Sends every queued order that is due. Safe to call often; overlapping calls share one run.
+export const processQueue = () => {
+  if (!processing) {
+    processing = sendDueOrders()
+      .then(async (online) => {
+        if (online) {
+          scheduleRetry(await readQueue());
+        }
+      })
+      .catch(error => console.error("Error processing order queue: ", error))
+      .finally(() => {
+        processing = null;
+      });
+  }
+  return processing;
+};
+
+// Sends the queue whenever the device comes back online. Returns a function that stops it.
+export const startOrderQueue = () => {
+  const unsubscribe = NetInfo.addEventListener(state => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      processQueue();
+    }
+  });
+  processQueue();
+
+  return () => {
+    unsubscribe();
+    clearTimeout(retryTimer);
+  };
+};
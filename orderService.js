@@ -0,0 +1,387 @@
+import { firestore } from '../config/firebase';
+import { doc, collection, runTransaction, query, where, limit, getDocs, getDoc, increment, onSnapshot } from 'firebase/firestore';
+import { parsePrice, sumCentavos, formatAmount } from './functions/money';
+import { getPromotionError, calculateDiscount } from './functions/promotions';
+import { createStatusEntry } from './functions/orderStatus';
+import { getSlotError, toOrderSlot } from './functions/deliverySlots';
+import { getStoreError, getStoreStock, createPickupCode, PICKUP_CODE_LENGTH } from './functions/stores';
+import { ORDER_SCHEMA_VERSION, INITIAL_PAYMENT_STATUS, toOrderItem, getOrderErrors, upgradeOrder } from './functions/orderSchema';
+import { getOrderNotesErrors } from './functions/orderNotes';
+import { callFunction } from './cloudFunctions';
+import * as Crypto from 'expo-crypto';
+import {
+  withLoyaltyDefaults,
+  getTier,
+  applyPoints,
+  calculatePointsEarned,
+  createLedgerEntry,
+  consumeLots,
+} from './functions/loyalty';
+
+// A replayed checkout attempt whose order ended up here has to start over with a new id
+const CLOSED_STATUSES = ['Failed', 'Expired', 'Cancelled', 'Refunded'];
+
+// Errors thrown inside the transaction abort it, so nothing is written
+const orderError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+export const loadLoyaltySettings = async () => {
+  const settingsSnap = await getDoc(doc(firestore, 'settings', 'loyalty'));
+  return withLoyaltyDefaults(settingsSnap.data());
+};
+
+// Looks up a code for the review step. The order transaction checks it again before redeeming it.
+// `subtotal` is in centavos.
+export const findPromotion = async (code, userId, subtotal) => {
+  const snapshot = await getDocs(query(
+    collection(firestore, 'promotions'),
+    where('code', '==', code.trim().toUpperCase()),
+    limit(1)
+  ));
+  if (snapshot.empty) {
+    throw orderError('promotion-invalid', "This promo code is not valid.");
+  }
+
+  const promotionSnap = snapshot.docs[0];
+  const usageSnap = await getDoc(doc(promotionSnap.ref, 'users', userId));
+  const promotion = { id: promotionSnap.id, ...promotionSnap.data() };
+  const promotionError = getPromotionError(promotion, {
+    subtotal,
+    usedByUser: usageSnap.data()?.count || 0,
+  });
+  if (promotionError) {
+    throw orderError('promotion-invalid', promotionError);
+  }
+  return promotion;
+};
+
+// The same product on two cart lines is checked and taken from stock once, for the combined quantity
+const mergeLines = (items) => Array.from(items.reduce((lines, item) => {
+  const key = item.id.toString();
+  const line = lines.get(key);
+  lines.set(key, line ? { ...line, quantity: line.quantity + item.quantity } : { ...item });
+  return lines;
+}, new Map()).values());
+
+// A hash of what a checkout attempt asked for, saved on its order. A replay that asks for something
+// else (another payment method, address or cart) is a different checkout and needs a new id.
+const getCheckoutFingerprint = (request) => Crypto.digestStringAsync(
+  Crypto.CryptoDigestAlgorithm.SHA256,
+  JSON.stringify([
+    request.items.map(item => [item.id.toString(), item.quantity, item.unitPrice]),
+    request.paymentMethod,
+    request.fulfilmentMethod,
+    request.storeId || null,
+    request.address || null,
+    request.shippingAddress || null,
+    request.deliverySlotId || null,
+    request.deliveryFee,
+    request.promotionId || null,
+    request.pointsToRedeem,
+    request.notes,
+  ])
+);
+
+// A fresh id for one checkout attempt. Pass it to placeOrder every time that attempt is retried.
+export const createOrderId = () => doc(collection(firestore, 'orders')).id;
+
+// Creates the order, moves the user's points, decrements stock, reserves the delivery slot and redeems the promo code
+// in a single transaction.
+// Orders awaiting an online payment reserve stock and burn points now but only earn points once the gateway marks them Paid.
+// The discount, points value and total are worked out here from the promotion and loyalty settings at the time of the order.
+// `paymentMethod` is an id from PAYMENT_METHODS; orders paid with 'points' must be fully covered by `pointsToRedeem`.
+// Items carry `unitPrice` and the delivery fee is passed in centavos; the order stores all amounts in centavos.
+// Lines for the same product are merged into one before anything is checked.
+// Each item is checked against `products/{id}`: discontinued items and prices that changed since the
+// review step abort the order so the shopper can see the new catalog before paying. The order keeps
+// a snapshot of each product (name, image, unit price and line total) as it was at that moment.
+// The document is checked against the order schema before it's written.
+// Pickup orders (`fulfilmentMethod: 'pickup'`) have no delivery fee, take their stock from the store
+// and get a pickup code for staff to check.
+// `notes` is the courier note, gift details and hidePrices flag from toOrderNotes, saved on the order's fulfilment.
+// `orderId` is the checkout attempt's idempotency key: a replay returns the order it already created
+// (with `replayed: true`) instead of writing a second one. A replay with different details throws 'checkout-changed'.
+export const placeOrder = async ({
+  orderId,
+  userId,
+  items: cartItems,
+  deliveryFee: requestedDeliveryFee,
+  promotionId,
+  pointsToRedeem = 0,
+  paymentMethod,
+  address,
+  shippingAddress,
+  deliverySlotId,
+  fulfilmentMethod = 'delivery',
+  storeId,
+  notes = { courierNote: null, gift: null, hidePrices: false },
+  status = 'Pending',
+}) => {
+  const notesErrors = getOrderNotesErrors({ method: fulfilmentMethod, ...notes }, paymentMethod);
+  if (notesErrors.length > 0) {
+    throw orderError('invalid-notes', notesErrors[0]);
+  }
+
+  const items = mergeLines(cartItems);
+  const pickup = fulfilmentMethod === 'pickup';
+  const deliveryFee = pickup ? 0 : requestedDeliveryFee;
+  const checkoutFingerprint = await getCheckoutFingerprint({
+    items,
+    paymentMethod,
+    fulfilmentMethod,
+    storeId,
+    address,
+    shippingAddress,
+    deliverySlotId,
+    deliveryFee,
+    promotionId,
+    pointsToRedeem,
+    notes,
+  });
+  const userRef = doc(firestore, 'users', userId);
+  const orderRef = doc(firestore, 'orders', orderId);
+  const productRefs = items.map(item => doc(firestore, 'products', item.id.toString()));
+  const promotionRef = promotionId ? doc(firestore, 'promotions', promotionId) : null;
+  const promotionUsageRef = promotionId ? doc(promotionRef, 'users', userId) : null;
+  const deliverySlotRef = deliverySlotId ? doc(firestore, 'deliverySlots', deliverySlotId) : null;
+  const storeRef = pickup ? doc(firestore, 'stores', storeId) : null;
+  const loyaltySettingsRef = doc(firestore, 'settings', 'loyalty');
+  const ledgerRef = collection(userRef, 'pointsLedger');
+
+  // Transactions can't run queries, so find the point lots first and re-read them inside
+  const lotRefs = pointsToRedeem > 0
+    ? (await getDocs(query(ledgerRef, where('remaining', '>', 0)))).docs.map(lotSnap => lotSnap.ref)
+    : [];
+
+  return runTransaction(firestore, async (transaction) => {
+    // All reads have to happen before the first write
+    const existingOrderSnap = await transaction.get(orderRef);
+    if (existingOrderSnap.exists()) {
+      const existingOrder = existingOrderSnap.data();
+      if (existingOrder.userId !== userId) {
+        throw orderError('order-exists', "This order id is already taken.");
+      }
+      if (CLOSED_STATUSES.includes(existingOrder.status)) {
+        throw orderError('checkout-closed', `This checkout attempt is already ${existingOrder.status.toLowerCase()}.`);
+      }
+      // Orders from before fingerprints were saved can only be checked on how they're paid and fulfilled
+      const changed = existingOrder.checkoutFingerprint
+        ? existingOrder.checkoutFingerprint !== checkoutFingerprint
+        : existingOrder.payment?.method !== paymentMethod || existingOrder.fulfilment?.method !== fulfilmentMethod;
+      if (changed) {
+        throw orderError('checkout-changed', "Your order has changed since it was first sent.");
+      }
+      return {
+        orderId,
+        orderDetails: existingOrder,
+        pointsRedeemed: existingOrder.pointsRedeemed || 0,
+        pointsEarned: existingOrder.pointsEarned || 0,
+        replayed: true,
+      };
+    }
+
+    const userSnap = await transaction.get(userRef);
+    const productSnaps = await Promise.all(productRefs.map(ref => transaction.get(ref)));
+    const promotionSnap = promotionRef ? await transaction.get(promotionRef) : null;
+    const promotionUsageSnap = promotionRef ? await transaction.get(promotionUsageRef) : null;
+    const deliverySlotSnap = deliverySlotRef ? await transaction.get(deliverySlotRef) : null;
+    const storeSnap = storeRef ? await transaction.get(storeRef) : null;
+    const loyaltySettingsSnap = await transaction.get(loyaltySettingsRef);
+    const lotSnaps = await Promise.all(lotRefs.map(ref => transaction.get(ref)));
+
+    if (!userSnap.exists()) {
+      throw orderError('user-not-found', "User document does not exist");
+    }
+    const userName = userSnap.data().displayName;
+    if (!userName) {
+      throw orderError('user-not-found', "User name not found");
+    }
+
+    const store = storeSnap?.exists() ? storeSnap.data() : null;
+    if (storeSnap) {
+      const storeError = getStoreError(store, items);
+      if (storeError) {
+        throw orderError(store && store.active !== false ? 'insufficient-stock' : 'store-unavailable', storeError);
+      }
+    }
+
+    // Pickup orders were checked against the store's stock above
+    const stocks = productSnaps.map((snap, index) => {
+      if (!snap.exists() || snap.data().active === false) {
+        throw orderError('product-unavailable', `${items[index].name} is no longer available.`);
+      }
+      const stock = snap.data().stock || 0;
+      if (!pickup && stock < items[index].quantity) {
+        throw orderError('insufficient-stock', `Only ${stock} of ${items[index].name} left in stock.`);
+      }
+      if (parsePrice(snap.data().price) !== items[index].unitPrice) {
+        throw orderError('price-changed', `The price of ${items[index].name} has changed to ${snap.data().price}.`);
+      }
+      return stock;
+    });
+    const orderItems = productSnaps.map((snap, index) =>
+      toOrderItem(items[index].id, { name: items[index].name, ...snap.data() }, items[index].quantity));
+    const subtotal = sumCentavos(orderItems.map(item => item.lineTotal));
+
+    if (deliverySlotSnap) {
+      const slotError = getSlotError(deliverySlotSnap.exists() ? deliverySlotSnap.data() : null);
+      if (slotError) {
+        throw orderError('slot-unavailable', slotError);
+      }
+    }
+
+    let discount = 0;
+    if (promotionSnap) {
+      const promotion = promotionSnap.exists() ? promotionSnap.data() : null;
+      const promotionError = getPromotionError(promotion, {
+        subtotal,
+        usedByUser: promotionUsageSnap.data()?.count || 0,
+      });
+      if (promotionError) {
+        throw orderError('promotion-invalid', promotionError);
+      }
+      discount = calculateDiscount(promotion, { items: orderItems, subtotal, deliveryFee });
+    }
+
+    const loyaltySettings = loyaltySettingsSnap.data();
+    const currentPoints = userSnap.data().points || 0;
+    if (pointsToRedeem > currentPoints) {
+      throw orderError('insufficient-points', `You only have ${currentPoints} points.`);
+    }
+
+    const { pointsRedeemed, pointsDiscount } = applyPoints(pointsToRedeem, {
+      balance: currentPoints,
+      amountDue: subtotal + deliveryFee - discount,
+      settings: loyaltySettings,
+    });
+    const totalPrice = subtotal + deliveryFee - discount - pointsDiscount;
+
+    if (paymentMethod === 'points' && totalPrice > 0) {
+      throw orderError('insufficient-points', "You do not have enough points to complete this transaction.");
+    }
+
+    const lifetimeSpend = userSnap.data().lifetimeSpend || 0;
+    const pointsEarned = status === 'Pending Payment' ? 0 : calculatePointsEarned(totalPrice, loyaltySettings, lifetimeSpend);
+
+    const orderDetails = {
+      schemaVersion: ORDER_SCHEMA_VERSION,
+      userId,
+      userName,
+      items: orderItems,
+      amounts: { subtotal, deliveryFee, discount, pointsDiscount, total: totalPrice },
+      total: formatAmount(totalPrice), // Older screens read this decimal string
+      pointsRedeemed,
+      pointsEarned,
+      fulfilment: pickup
+        ? {
+          method: 'pickup',
+          storeId,
+          storeName: store.name,
+          storeAddress: store.address,
+          pickupCode: createPickupCode(Crypto.getRandomBytes(PICKUP_CODE_LENGTH)),
+          ...notes,
+        }
+        : {
+          method: 'delivery',
+          address,
+          shippingAddress,
+          deliverySlot: deliverySlotSnap ? toOrderSlot(deliverySlotId, deliverySlotSnap.data()) : null,
+          ...notes,
+        },
+      payment: { method: paymentMethod, status: INITIAL_PAYMENT_STATUS[paymentMethod] },
+      createdAt: new Date(),
+      checkoutFingerprint,
+      status,
+      statusHistory: [createStatusEntry({ status, by: 'customer' })],
+    };
+    if (promotionSnap) {
+      orderDetails.promotionId = promotionId;
+      orderDetails.promoCode = promotionSnap.data().code;
+    }
+
+    const schemaErrors = getOrderErrors(orderDetails);
+    if (schemaErrors.length > 0) {
+      throw orderError('invalid-order', `This order can't be saved: ${schemaErrors.join(' ')}`);
+    }
+
+    transaction.set(orderRef, orderDetails);
+
+    // Orders paid online count towards the tier once they are paid
+    const userUpdate = {};
+    if (pointsRedeemed > 0) {
+      userUpdate.points = currentPoints - pointsRedeemed;
+      transaction.set(doc(ledgerRef), createLedgerEntry({
+        type: 'burn',
+        points: -pointsRedeemed,
+        orderId: orderRef.id,
+        balanceAfter: userUpdate.points,
+        settings: loyaltySettings,
+      }));
+      const lots = lotSnaps.filter(lotSnap => lotSnap.exists()).map(lotSnap => ({ id: lotSnap.id, ...lotSnap.data() }));
+      consumeLots(lots, pointsRedeemed).forEach(({ id, remaining }) => {
+        transaction.update(doc(ledgerRef, id), { remaining });
+      });
+    }
+    if (status !== 'Pending Payment') {
+      userUpdate.lifetimeSpend = lifetimeSpend + totalPrice;
+      userUpdate.tier = getTier(userUpdate.lifetimeSpend, loyaltySettings).name;
+    }
+    if (pointsEarned > 0) {
+      userUpdate.points = currentPoints - pointsRedeemed + pointsEarned;
+      transaction.set(doc(ledgerRef), createLedgerEntry({
+        type: 'earn',
+        points: pointsEarned,
+        orderId: orderRef.id,
+        balanceAfter: userUpdate.points,
+        settings: loyaltySettings,
+      }));
+    }
+    if (Object.keys(userUpdate).length > 0) {
+      transaction.update(userRef, userUpdate);
+    }
+    if (pickup) {
+      transaction.update(storeRef, Object.fromEntries(items.map(item => [
+        `stock.${item.id}`,
+        getStoreStock(store, item.id) - item.quantity,
+      ])));
+    } else {
+      productRefs.forEach((ref, index) => {
+        transaction.update(ref, { stock: stocks[index] - items[index].quantity });
+      });
+    }
+    if (deliverySlotSnap) {
+      transaction.update(deliverySlotRef, { reserved: increment(1) });
+    }
+    if (promotionSnap) {
+      // Counted in the same write as the order so a code can't be used past its limits
+      transaction.update(promotionRef, { usedCount: increment(1) });
+      transaction.set(promotionUsageRef, { count: increment(1) }, { merge: true });
+      transaction.set(doc(promotionRef, 'redemptions', orderRef.id), {
+        userId,
+        orderId: orderRef.id,
+        discount,
+        redeemedAt: new Date(),
+      });
+    }
+
+    return { orderId, orderDetails, pointsRedeemed, pointsEarned, replayed: false };
+  });
+};
+
+// Calls onChange with the order (or null once it's gone) on every change. Orders the migration
+// hasn't reached yet come in the current shape too.
+export const watchOrder = (orderId, onChange, onError) =>
+  onSnapshot(
+    doc(firestore, 'orders', orderId),
+    (snapshot) => onChange(snapshot.exists() ? upgradeOrder({ id: snapshot.id, ...snapshot.data() }) : null),
+    onError
+  );
+
+// Cancelling also gives back points and stock, so it runs on the server in one transaction
+export const cancelOrder = async (orderId, reason) => {
+  const { status } = await callFunction('cancelOrder', { orderId, reason });
+  return status;
+};
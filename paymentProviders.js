@@ -0,0 +1,89 @@
+import { placeOrder, cancelOrder } from './orderService';
+import { createCheckout } from './checkoutService';
+import { PENDING_PAYMENT, openPaymentCheckout, getPaymentReturnUrl, cancelPayment } from './paymentStatus';
+import { PAYMENT_METHODS } from './functions/orderSchema';
+
+// Every way to pay at checkout. Providers share one interface, so the checkout screen lists them from
+// this registry and never needs to know how a method works:
+//   create(order)     places the order; `order` is what placeOrder takes, without paymentMethod and status
+//   confirm(orderId)  takes the payment and resolves to { screen, settled }: the screen to show next, and
+//                     whether the order is complete (so the cart can be cleared) or still waiting for payment
+//   cancel(orderId)   calls off the payment, and with it the order
+// For the screen each provider also has an id (the order's payment.method), a label, an `icon` image or
+// an Ionicons `iconName`, and:
+//   selectable       false for methods the checkout picks by itself (Points, once they cover the total)
+//   needsConnection  true when paying means visiting the gateway
+//   canQueueOffline  true when the order can wait in the offline queue
+//
+// Providers get the services they call passed in, so tests can build the registry around mocks with
+// createPaymentProviders, or replace it with setPaymentProviders.
+
+const DEFAULT_SERVICES = {
+  placeOrder,
+  cancelOrder,
+  createCheckout,
+  openPaymentCheckout,
+  getPaymentReturnUrl,
+  cancelPayment,
+};
+
+// Paid when the order changes hands (or with points up front), so placing the order is all there is to it
+export const createOfflineProvider = (id, { icon = null, iconName = null, selectable = true } = {}, services = DEFAULT_SERVICES) => ({
+  id,
+  label: PAYMENT_METHODS[id],
+  icon,
+  iconName,
+  selectable,
+  needsConnection: false,
+  canQueueOffline: true,
+  create: (order) => services.placeOrder({ ...order, paymentMethod: id }),
+  confirm: async () => ({ screen: 'OrderTrackingScreen', settled: true }),
+  cancel: (orderId) => services.cancelOrder(orderId),
+});
+
+// Paid on the gateway's checkout page. The order waits in 'Pending Payment' until the server hears from the gateway.
+export const createHostedCheckoutProvider = (id, { icon = null, iconName = null } = {}, services = DEFAULT_SERVICES) => ({
+  id,
+  label: PAYMENT_METHODS[id],
+  icon,
+  iconName,
+  selectable: true,
+  needsConnection: true,
+  canQueueOffline: false,
+  create: (order) => services.placeOrder({ ...order, paymentMethod: id, status: PENDING_PAYMENT }),
+  confirm: async (orderId) => {
+    // A retry of the same checkout attempt gets the checkout the server already created
+    const checkoutUrl = await services.createCheckout(orderId, { returnUrl: services.getPaymentReturnUrl(orderId) });
+    if (!checkoutUrl || typeof checkoutUrl !== 'string') {
+      throw new Error('Checkout URL is not available.');
+    }
+    await services.openPaymentCheckout(checkoutUrl, orderId);
+    return { screen: 'PaymentResultScreen', settled: false };
+  },
+  cancel: (orderId) => services.cancelPayment(orderId),
+});
+
+// In the order they're offered at checkout
+export const createPaymentProviders = (services = DEFAULT_SERVICES) => [
+  createOfflineProvider('cod', { icon: require('../assets/cod.png') }, services),
+  createHostedCheckoutProvider('gcash', { icon: require('../assets/gcashlogo.png') }, services),
+  createHostedCheckoutProvider('card', { iconName: 'card-outline' }, services),
+  createHostedCheckoutProvider('maya', { iconName: 'wallet-outline' }, services),
+  createOfflineProvider('points', { icon: require('../assets/points.webp.png'), selectable: false }, services),
+];
+
+let providers = createPaymentProviders();
+
+export const getPaymentProviders = () => providers;
+
+export const getPaymentProvider = (id) => {
+  const provider = providers.find(candidate => candidate.id === id);
+  if (!provider) {
+    throw new Error(`Unknown payment method ${id}`);
+  }
+  return provider;
+};
+
+export const setPaymentProviders = (registry) => {
+  providers = registry;
+};
@@ -0,0 +1,40 @@
+import { firestore } from '../config/firebase';
+import { doc, onSnapshot } from 'firebase/firestore';
+import * as ExpoLinking from 'expo-linking';
+import * as WebBrowser from 'expo-web-browser';
+import { callFunction } from './cloudFunctions';
+
+export const PENDING_PAYMENT = 'Pending Payment';
+export const SETTLED_PAYMENT_STATUSES = ['Paid', 'Failed', 'Expired'];
+
+// Add this to the NavigationContainer linking config so payment-result/<orderId> opens the result screen
+export const paymentResultLinking = {
+  PaymentResultScreen: 'payment-result/:orderId',
+};
+
+export const getPaymentReturnUrl = (orderId) => ExpoLinking.createURL(`payment-result/${orderId}`);
+
+// Resolves once the user comes back from the checkout page, paid or not
+export const openPaymentCheckout = (checkoutUrl, orderId) =>
+  WebBrowser.openAuthSessionAsync(checkoutUrl, getPaymentReturnUrl(orderId));
+
+// The order status is only moved by the webhook or the scheduled poll, so we just listen.
+// onChange gets the order status and its payment method.
+export const watchPaymentStatus = (orderId, onChange, onError) =>
+  onSnapshot(
+    doc(firestore, 'orders', orderId),
+    (snapshot) => onChange(snapshot.data()?.status, snapshot.data()?.payment?.method),
+    onError
+  );
+
+// Asks the server to check PayMongo right away instead of waiting for the next poll
+export const refreshPaymentStatus = async (orderId) => {
+  const { status } = await callFunction('refreshPaymentStatus', { orderId });
+  return status;
+};
+
+// Gives up on an online payment that hasn't been made; the server cancels the order unless it turns out to be paid
+export const cancelPayment = async (orderId) => {
+  const { status } = await callFunction('cancelPayment', { orderId });
+  return status;
+};
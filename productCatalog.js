@@ -0,0 +1,185 @@
+import { firestore } from '../config/firebase';
+import { collection, query, where, documentId, onSnapshot, getDocs } from 'firebase/firestore';
+import { products as bundledProducts } from './data';
+import { parsePrice } from './functions/money';
+
+// `products/{id}` is the source of truth for price, stock and whether an item is still sold:
+//   { name, description, price: 'Php 12,345.00', stock: 10, active: true, imageUrl, weight, dimensions }
+// The bundled list in data.js only supplies images for products without an imageUrl
+// and the price the shopper saw when the cart item has none of its own.
+
+const IN_QUERY_LIMIT = 30; // Firestore caps `in` filters at 30 values
+
+export const CART_ISSUES = {
+  missing: 'This product is no longer in our catalog.',
+  discontinued: 'This product has been discontinued.',
+  outOfStock: 'This product is out of stock.',
+  insufficientStock: 'Not enough stock for the quantity in your cart.',
+  priceChanged: 'The price of this product has changed.',
+};
+
+const bundledProduct = (id) => bundledProducts.find(product => product.id === id);
+
+export const getProductImage = (product, id) => {
+  if (product?.imageUrl) {
+    return { uri: product.imageUrl };
+  }
+  return bundledProduct(id)?.image;
+};
+
+const toIdChunks = (ids) => {
+  const uniqueIds = [...new Set(ids.map(String))];
+  const chunks = [];
+  for (let i = 0; i < uniqueIds.length; i += IN_QUERY_LIMIT) {
+    chunks.push(uniqueIds.slice(i, i + IN_QUERY_LIMIT));
+  }
+  return chunks;
+};
+
+// Calls onChange with { [id]: product } whenever any of the products change
+export const watchProducts = (ids, onChange, onError) => {
+  const chunks = toIdChunks(ids);
+  if (chunks.length === 0) {
+    onChange({});
+    return () => {};
+  }
+
+  const found = chunks.map(() => ({}));
+  const loaded = chunks.map(() => false);
+  const unsubscribes = chunks.map((chunk, index) =>
+    onSnapshot(
+      query(collection(firestore, 'products'), where(documentId(), 'in', chunk)),
+      (snapshot) => {
+        found[index] = Object.fromEntries(snapshot.docs.map(productSnap => [productSnap.id, { id: productSnap.id, ...productSnap.data() }]));
+        loaded[index] = true;
+        if (loaded.every(Boolean)) {
+          onChange(Object.assign({}, ...found));
+        }
+      },
+      onError
+    )
+  );
+
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+// Checks every cart line against the live catalog. `blocking` issues stop checkout;
+// price changes only need the shopper to accept the new price.
+// Pass `storeStock` ({ [productId]: quantity }) to check a store pickup against that store's shelf instead.
+// Stock is checked against the product's combined quantity across lines, as placeOrder takes it.
+export const validateCart = (cartItems, catalog, { storeStock } = {}) => {
+  const quantities = cartItems.reduce((totals, item) => {
+    const id = String(item.id);
+    totals[id] = (totals[id] || 0) + item.quantity;
+    return totals;
+  }, {});
+
+  const lines = cartItems.map(item => {
+    const product = catalog[String(item.id)];
+    if (!product) {
+      return { item, product: null, issue: 'missing', blocking: true };
+    }
+    if (product.active === false) {
+      return { item, product, issue: 'discontinued', blocking: true };
+    }
+
+    const stock = (storeStock ? storeStock[String(item.id)] : product.stock) || 0;
+    if (stock <= 0) {
+      return { item, product, issue: 'outOfStock', blocking: true };
+    }
+    if (stock < quantities[String(item.id)]) {
+      return { item, product, issue: 'insufficientStock', blocking: true, availableQuantity: stock };
+    }
+
+    const seenPrice = parsePrice(item.price ?? bundledProduct(item.id)?.price);
+    const livePrice = parsePrice(product.price);
+    if (seenPrice !== null && livePrice !== seenPrice) {
+      return { item, product, issue: 'priceChanged', blocking: false, previousPrice: seenPrice };
+    }
+
+    return { item, product, issue: null, blocking: false };
+  });
+
+  return {
+    lines,
+    issues: lines.filter(line => line.issue),
+    hasBlockingIssues: lines.some(line => line.blocking),
+    hasPriceChanges: lines.some(line => line.issue === 'priceChanged'),
+  };
+};
+
+// Resolves to { [id]: product } for the products as they are now
+export const fetchProducts = async (ids) => {
+  const snapshots = await Promise.all(toIdChunks(ids).map(chunk =>
+    getDocs(query(collection(firestore, 'products'), where(documentId(), 'in', chunk)))
+  ));
+  return Object.fromEntries(snapshots.flatMap(snapshot =>
+    snapshot.docs.map(productSnap => [productSnap.id, { id: productSnap.id, ...productSnap.data() }])
+  ));
+};
+
+// Turns saved lines ({ id, name, quantity, unitPrice? }, e.g. a past order's items or a saved cart) into cart
+// items at today's catalog price. Lines that can't be bought are left out and short stock lowers the quantity;
+// `issues` says what happened to each, with a CART_ISSUES key. `previousPrice` is in centavos.
+export const buildCart = (lines, catalog) => {
+  const cartItems = [];
+  const issues = [];
+
+  lines.forEach(line => {
+    const product = catalog[String(line.id)];
+    const name = product?.name || line.name;
+    if (!product) {
+      issues.push({ id: line.id, name, issue: 'missing' });
+      return;
+    }
+    if (product.active === false) {
+      issues.push({ id: line.id, name, issue: 'discontinued' });
+      return;
+    }
+    const stock = product.stock || 0;
+    if (stock <= 0) {
+      issues.push({ id: line.id, name, issue: 'outOfStock' });
+      return;
+    }
+
+    const quantity = Math.min(line.quantity, stock);
+    if (quantity < line.quantity) {
+      issues.push({ id: line.id, name, issue: 'insufficientStock', availableQuantity: stock });
+    }
+    const livePrice = parsePrice(product.price);
+    if (line.unitPrice != null && livePrice !== line.unitPrice) {
+      issues.push({ id: line.id, name, issue: 'priceChanged', previousPrice: line.unitPrice });
+    }
+    cartItems.push({ id: line.id, name, price: product.price, quantity });
+  });
+
+  return { cartItems, issues };
+};
+
+// buildCart against the live catalog, which comes back as `catalog` for mergeCartItems
+export const rebuildCart = async (lines) => {
+  const catalog = await fetchProducts(lines.map(line => line.id));
+  return { ...buildCart(lines, catalog), catalog };
+};
+
+// Adds `incoming` (cart items from buildCart) to the cart, adding up the quantities of products that are in
+// both. A product's total is cut down to its stock in `catalog`, with an insufficientStock issue like buildCart's.
+export const mergeCartItems = (current, incoming, catalog) => {
+  const cartItems = current.map(item => ({ ...item }));
+  const issues = [];
+  incoming.forEach(item => {
+    const existing = cartItems.find(candidate => String(candidate.id) === String(item.id));
+    if (!existing) {
+      cartItems.push(item);
+      return;
+    }
+    const stock = catalog[String(item.id)]?.stock || 0;
+    const quantity = existing.quantity + item.quantity;
+    if (quantity > stock) {
+      issues.push({ id: item.id, name: item.name, issue: 'insufficientStock', availableQuantity: stock });
+    }
+    existing.quantity = Math.min(quantity, stock);
+    existing.price = item.price;
+  });
+  return { cartItems, issues };
+};
@@ -0,0 +1,31 @@
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { callFunction } from './cloudFunctions';
+import { buildReceipt, renderReceiptHtml } from './functions/receipt';
+
+// Prints the receipt to a PDF in the app's cache and returns its file URI
+export const createReceiptPdf = async (orderId, order) => {
+  const { uri } = await Print.printToFileAsync({ html: renderReceiptHtml(buildReceipt(orderId, order)) });
+  return uri;
+};
+
+// Opens the share sheet with the PDF, where the user can also save it to their files.
+// Where sharing isn't available (e.g. on the web) the print dialog lets them save it instead.
+export const shareReceipt = async (orderId, order) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    await Print.printAsync({ html: renderReceiptHtml(buildReceipt(orderId, order)) });
+    return;
+  }
+  const uri = await createReceiptPdf(orderId, order);
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/pdf',
+    UTI: 'com.adobe.pdf',
+    dialogTitle: `Receipt for order ${orderId}`,
+  });
+};
+
+// Sends the receipt to the email address the user signs in with. Resolves to false if they have none.
+export const emailReceipt = async (orderId) => {
+  const { sent } = await callFunction('emailReceipt', { orderId });
+  return sent;
+};
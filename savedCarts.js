@@ -0,0 +1,71 @@
+import { firestore } from '../config/firebase';
+import { doc, collection, query, orderBy, onSnapshot, addDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { parsePrice } from './functions/money';
+
+// Named carts the user keeps for later (a weekly shop, a wishlist), in `users/{userId}/savedCarts/{id}`:
+//   { name, items: [{ id, name, quantity, unitPrice }], createdAt, updatedAt }
+// `unitPrice` is the price in centavos when the cart was saved, so loading it can say what has changed.
+// Load one with rebuildCart (productCatalog.js), which checks it against today's prices and stock.
+
+export const SAVED_CART_NAME_LENGTH = 40;
+export const MAX_SAVED_CARTS = 20;
+
+const savedCartsRef = (userId) => collection(firestore, 'users', userId, 'savedCarts');
+
+// Returns why the cart can't be saved under this name, or null when it can
+export const getSavedCartNameError = (name, savedCarts, { exceptId = null } = {}) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return 'Give the cart a name.';
+  }
+  if (trimmed.length > SAVED_CART_NAME_LENGTH) {
+    return `Cart names must be ${SAVED_CART_NAME_LENGTH} characters or fewer.`;
+  }
+  if (savedCarts.some(cart => cart.id !== exceptId && cart.name.toLowerCase() === trimmed.toLowerCase())) {
+    return `You already have a cart called "${trimmed}".`;
+  }
+  return null;
+};
+
+const toSavedItems = (cartItems) => cartItems.map(item => ({
+  id: item.id,
+  name: item.name || '',
+  quantity: item.quantity,
+  unitPrice: parsePrice(item.price),
+}));
+
+// Calls onChange with the user's saved carts, most recently changed first
+export const watchSavedCarts = (userId, onChange, onError) =>
+  onSnapshot(
+    query(savedCartsRef(userId), orderBy('updatedAt', 'desc')),
+    (snapshot) => onChange(snapshot.docs.map(cartSnap => ({ id: cartSnap.id, ...cartSnap.data() }))),
+    onError
+  );
+
+// Saves the cart under a new name and resolves to its id. `savedCarts` is the user's current list, for the checks.
+export const saveCart = async (userId, name, cartItems, savedCarts) => {
+  const nameError = getSavedCartNameError(name, savedCarts);
+  if (nameError) {
+    throw new Error(nameError);
+  }
+  if (savedCarts.length >= MAX_SAVED_CARTS) {
+    throw new Error(`You can keep up to ${MAX_SAVED_CARTS} saved carts. Delete one to save another.`);
+  }
+  if (cartItems.length === 0) {
+    throw new Error('Your cart is empty.');
+  }
+
+  const cartRef = await addDoc(savedCartsRef(userId), {
+    name: name.trim(),
+    items: toSavedItems(cartItems),
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return cartRef.id;
+};
+
+// Replaces a saved cart's items with the current cart
+export const updateSavedCart = (userId, cartId, cartItems) =>
+  updateDoc(doc(savedCartsRef(userId), cartId), { items: toSavedItems(cartItems), updatedAt: serverTimestamp() });
+
+export const deleteSavedCart = (userId, cartId) => deleteDoc(doc(savedCartsRef(userId), cartId));
@@ -0,0 +1,14 @@
+import { firestore } from '../config/firebase';
+import { collection, query, where, onSnapshot } from 'firebase/firestore';
+
+// Calls onChange with the stores taking pickup orders, by name, whenever their hours or stock change
+export const watchStores = (onChange, onError) =>
+  onSnapshot(
+    query(collection(firestore, 'stores'), where('active', '==', true)),
+    (snapshot) => onChange(
+      snapshot.docs
+        .map(storeSnap => ({ id: storeSnap.id, ...storeSnap.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    ),
+    onError
+  );
@@ -0,0 +1,93 @@
+import { useContext, useState } from 'react';
+import { Alert } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { firestore, auth } from '../config/firebase';
+import { doc, getDoc } from 'firebase/firestore';
+import { CartContext } from '../context/CartContext';
+import { CART_ISSUES, rebuildCart, mergeCartItems } from './productCatalog';
+import { formatPrice } from './functions/money';
+
+// One line per item that didn't come back as it was
+export const describeCartIssues = (issues) => issues.map(({ name, issue, availableQuantity, previousPrice }) => {
+  if (issue === 'insufficientStock') {
+    return `${name}: only ${availableQuantity} left, so your cart has ${availableQuantity}.`;
+  }
+  if (issue === 'priceChanged') {
+    return `${name}: now a different price (was ${formatPrice(previousPrice)}).`;
+  }
+  return `${name}: ${CART_ISSUES[issue]}`;
+}).join('\n');
+
+// Opens checkout for saved lines (a past order's items or a saved cart) at today's prices. When the cart already
+// has items the shopper chooses between adding these to it and replacing it.
+// CartContext only offers `cartItems` and `clearCart`, so the lines go to checkout as its `cartItems` route param
+// ({ id, name, price, quantity }, as buildCart returns them) rather than into the context. Replacing clears the
+// cart straight away; added-to carts are cleared with the rest once the order is placed.
+export const useCartLoader = () => {
+  const navigation = useNavigation();
+  const { cartItems, clearCart } = useContext(CartContext);
+  const [loadingCart, setLoadingCart] = useState(false);
+
+  const openCheckout = async (items) => {
+    const userSnap = await getDoc(doc(firestore, 'users', auth.currentUser.uid));
+    navigation.navigate('OrderScreen', { points: userSnap.data()?.points || 0, cartItems: items });
+  };
+
+  const finish = (items, issues) => {
+    const proceed = () => openCheckout(items).catch(error => {
+      console.error("Error opening checkout: ", error);
+      Alert.alert("Error", "There was an issue opening checkout. Please try again.");
+    });
+    if (issues.length > 0) {
+      Alert.alert("Some Items Changed", describeCartIssues(issues), [{ text: "OK", onPress: proceed }]);
+    } else {
+      proceed();
+    }
+  };
+
+  const loadCart = async (lines, { title = "Load Cart" } = {}) => {
+    setLoadingCart(true);
+    try {
+      const { cartItems: rebuilt, issues, catalog } = await rebuildCart(lines);
+      if (rebuilt.length === 0) {
+        Alert.alert(title, `None of these items can be ordered right now.\n\n${describeCartIssues(issues)}`);
+        return;
+      }
+
+      if (cartItems.length === 0) {
+        finish(rebuilt, issues);
+        return;
+      }
+
+      const addToCart = () => {
+        const merged = mergeCartItems(cartItems, rebuilt, catalog);
+        // A line buildCart already cut down to the stock is reported again once the cart's quantity is added
+        const cappedIds = merged.issues.map(issue => String(issue.id));
+        const otherIssues = issues.filter(issue => issue.issue !== 'insufficientStock' || !cappedIds.includes(String(issue.id)));
+        finish(merged.cartItems, [...otherIssues, ...merged.issues]);
+      };
+      Alert.alert(
+        title,
+        "Your cart already has items. Add these to it, or replace what's there?",
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Add to Cart", onPress: addToCart },
+          {
+            text: "Replace Cart",
+            onPress: () => {
+              clearCart();
+              finish(rebuilt, issues);
+            },
+          },
+        ]
+      );
+    } catch (error) {
+      console.error("Error loading cart: ", error);
+      Alert.alert("Error", "There was an issue checking these items. Please try again.");
+    } finally {
+      setLoadingCart(false);
+    }
+  };
+
+  return { loadCart, loadingCart };
+};
@@ -0,0 +1,404 @@
+import { useEffect, useMemo, useReducer, useRef, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createOrderId } from './orderService';
+import { enqueueOrder, processQueue, isNetworkError } from './orderQueue';
+import { EMPTY_ORDER_NOTES } from './functions/orderNotes';
+
+// The checkout flow as a state machine. The shopper completes the steps in order, can go back to any
+// earlier one, and can jump ahead again to any step whose earlier steps are all still complete; the order
+// is placed from review.
+//
+//   address -> fulfilment -> payment -> review -> submitting -> done
+//   address -> payment                          (store pickups have no delivery slot to choose)
+//   submitting -> error -> submitting | any step
+//
+// A step is complete once the shopper has moved on from it. Changing one of its choices makes it, and every
+// step after it, incomplete again, and clears later choices that no longer make sense (see DEPENDENT_CHOICES),
+// so nothing that was confirmed against the old choice gets through without being seen again.
+//
+// The reducer is pure and only allows these moves, and only once the steps before the target are complete
+// (getCheckoutTransitionError says what's missing). Checks that need live data, such as whether a slot is
+// still open, stay with the screen.
+//
+// Once an order has been sent the checkout id may already have an order behind it, so changing any choice
+// after that starts a new attempt with a new id (`attemptSent` tracks this).
+//
+// Progress is saved per user on the device so checkout picks up where it left off after the app restarts.
+
+export const CHECKOUT_STEPS = ['address', 'fulfilment', 'payment', 'review'];
+
+export const CHECKOUT_TRANSITIONS = {
+  address: ['fulfilment', 'payment', 'review'],
+  fulfilment: ['address', 'payment', 'review'],
+  payment: ['address', 'fulfilment', 'review'],
+  review: ['address', 'fulfilment', 'payment', 'submitting'],
+  submitting: ['done', 'error'],
+  error: ['address', 'fulfilment', 'payment', 'review', 'submitting'],
+  done: [],
+};
+
+const STORAGE_KEY_PREFIX = 'checkout:v1:';
+// Saved progress older than this is dropped; prices, slots and stock will have moved on
+const MAX_SAVED_AGE_MS = 24 * 60 * 60 * 1000;
+
+export const EMPTY_SELECTIONS = {
+  fulfilmentMethod: 'delivery',
+  addressId: null,
+  storeId: null,
+  slotDate: null, // Only which day of slots is on screen; not a choice
+  deliverySlotId: null,
+  paymentMethod: 'cod',
+  promoCode: '',
+  pointsInput: '',
+  acceptedPrices: {},
+  ...EMPTY_ORDER_NOTES, // Courier note and gift details, filled in on review
+};
+
+// The step each choice is made on. Review's choices (promo code, accepted prices) are checked when the order is placed.
+const CHOICE_STEPS = {
+  fulfilmentMethod: 'address',
+  addressId: 'address',
+  storeId: 'address',
+  deliverySlotId: 'fulfilment',
+  paymentMethod: 'payment',
+  pointsInput: 'payment',
+};
+
+// Later choices to clear when a choice changes. The points to use were picked against the old delivery fee.
+const DEPENDENT_CHOICES = {
+  fulfilmentMethod: ['deliverySlotId', 'pointsInput'],
+  addressId: ['pointsInput'],
+};
+
+// What each step asks for, as the message to show while it's missing
+const STEP_CHOICES = {
+  address: (selections) => {
+    if (selections.fulfilmentMethod === 'pickup') {
+      return selections.storeId ? null : 'Please select a store.';
+    }
+    return selections.addressId ? null : 'Please select an address.';
+  },
+  fulfilment: (selections) => (
+    selections.fulfilmentMethod === 'pickup' || selections.deliverySlotId ? null : 'Please choose a delivery date and time.'
+  ),
+  payment: (selections) => (selections.paymentMethod ? null : 'Please choose a payment method.'),
+};
+
+const STEP_NAMES = {
+  address: 'address',
+  fulfilment: 'delivery',
+  payment: 'payment',
+};
+
+// The steps these selections go through; pickups skip fulfilment
+export const getCheckoutSteps = (selections) => (
+  selections.fulfilmentMethod === 'pickup' ? CHECKOUT_STEPS.filter(step => step !== 'fulfilment') : CHECKOUT_STEPS
+);
+
+// `checkoutId` is the idempotency key for placing the order; see createOrderId
+export const createCheckoutState = (checkoutId) => ({
+  status: 'address',
+  selections: EMPTY_SELECTIONS,
+  completed: [],
+  checkoutId,
+  attemptSent: false,
+  error: null,
+});
+
+// The step after `status` for these selections
+export const getNextCheckoutStep = (status, selections) => {
+  const steps = getCheckoutSteps(selections);
+  return steps.includes(status) ? steps[steps.indexOf(status) + 1] || null : null;
+};
+
+// The step before `status`, or null when there's nowhere to go back to. A failed order goes back from review.
+export const getPreviousCheckoutStep = (status, selections) => {
+  const steps = getCheckoutSteps(selections);
+  const current = status === 'error' ? 'review' : status;
+  return steps.indexOf(current) > 0 ? steps[steps.indexOf(current) - 1] : null;
+};
+
+// Returns why checkout can't move from its current status to `to`, or null when it can
+export const getCheckoutTransitionError = (state, to) => {
+  if (!(CHECKOUT_TRANSITIONS[state.status] || []).includes(to)) {
+    return `Checkout can't go from ${state.status} to ${to}.`;
+  }
+  if (to === 'done' || to === 'error') {
+    return null;
+  }
+
+  const steps = getCheckoutSteps(state.selections);
+  if (to !== 'submitting' && !steps.includes(to)) {
+    return 'Store pickups have no delivery slot to choose.';
+  }
+
+  // Every step before the target has to be complete
+  const stepsBefore = to === 'submitting' ? steps.slice(0, -1) : steps.slice(0, steps.indexOf(to));
+  for (const step of stepsBefore) {
+    const missing = STEP_CHOICES[step](state.selections);
+    if (missing) {
+      return missing;
+    }
+    // The step being left is completed by the move itself
+    if (step !== state.status && !state.completed.includes(step)) {
+      return `Please finish the ${STEP_NAMES[step]} step first.`;
+    }
+  }
+  return null;
+};
+
+// Marks the step being left complete when moving forward
+const completeStep = (state, to) => {
+  const steps = getCheckoutSteps(state.selections);
+  const movingForward = to === 'submitting' || steps.indexOf(to) > steps.indexOf(state.status);
+  if (!movingForward || !steps.includes(state.status) || state.completed.includes(state.status)) {
+    return state.completed;
+  }
+  return [...state.completed, state.status];
+};
+
+// Applies changed choices, clearing the ones that depend on them and un-completing their steps and every later one
+const updateSelections = (state, fields) => {
+  const changed = Object.keys(fields).filter(field => fields[field] !== state.selections[field]);
+  const selections = { ...state.selections, ...fields };
+  changed.forEach(field => {
+    (DEPENDENT_CHOICES[field] || []).forEach(dependent => {
+      selections[dependent] = EMPTY_SELECTIONS[dependent];
+    });
+  });
+
+  const changedSteps = changed.map(field => CHOICE_STEPS[field]).filter(Boolean);
+  if (changedSteps.length === 0) {
+    return { ...state, selections };
+  }
+  const firstChanged = Math.min(...changedSteps.map(step => CHECKOUT_STEPS.indexOf(step)));
+  return {
+    ...state,
+    selections,
+    completed: state.completed.filter(step => CHECKOUT_STEPS.indexOf(step) < firstChanged),
+  };
+};
+
+// Choices that change the order placed. `slotDate` only picks which day of slots is on screen.
+const changesOrder = (state, fields) =>
+  Object.keys(fields).some(field => field !== 'slotDate' && fields[field] !== state.selections[field]);
+
+// Progress that was interrupted while the order was being sent resumes at review. The checkout id is kept,
+// so confirming again returns the order if it did go through. Saved progress that skips a step resumes
+// at that step.
+export const toResumedStatus = (status, selections, completed) => {
+  const steps = getCheckoutSteps(selections);
+  const resumed = steps.includes(status) ? status : 'review';
+  const incomplete = steps.find(step => step !== 'review' && (STEP_CHOICES[step](selections) || !completed.includes(step)));
+  if (incomplete && steps.indexOf(incomplete) < steps.indexOf(resumed)) {
+    return incomplete;
+  }
+  return resumed;
+};
+
+export const checkoutReducer = (state, action) => {
+  switch (action.type) {
+    case 'restore': {
+      const selections = { ...EMPTY_SELECTIONS, ...action.saved.selections };
+      const completed = action.saved.completed || [];
+      return {
+        ...state,
+        status: toResumedStatus(action.saved.status, selections, completed),
+        selections,
+        completed,
+        checkoutId: action.saved.checkoutId,
+        attemptSent: Boolean(action.saved.attemptSent) || ['submitting', 'error'].includes(action.saved.status),
+        error: null,
+      };
+    }
+    case 'update': {
+      // Choices are locked while the order is being sent
+      if (state.status === 'submitting' || state.status === 'done') {
+        return state;
+      }
+      const updated = updateSelections(state, action.fields);
+      // `nextCheckoutId` is a fresh id from the caller, used if this starts a new attempt
+      if (state.attemptSent && changesOrder(state, action.fields)) {
+        return { ...updated, checkoutId: action.nextCheckoutId, attemptSent: false };
+      }
+      return updated;
+    }
+    case 'go':
+      if (getCheckoutTransitionError(state, action.to)) {
+        return state;
+      }
+      return {
+        ...state,
+        status: action.to,
+        completed: completeStep(state, action.to),
+        attemptSent: state.attemptSent || action.to === 'submitting',
+        error: action.to === 'error' ? state.error : null,
+      };
+    case 'fail':
+      if (getCheckoutTransitionError(state, 'error')) {
+        return state;
+      }
+      return { ...state, status: 'error', error: action.error };
+    case 'renewCheckoutId':
+      return { ...state, checkoutId: action.checkoutId, attemptSent: false };
+    default:
+      return state;
+  }
+};
+
+const getStorageKey = (userId) => `${STORAGE_KEY_PREFIX}${userId}`;
+
+const readSavedCheckout = async (userId) => {
+  const saved = JSON.parse((await AsyncStorage.getItem(getStorageKey(userId))) || 'null');
+  if (!saved || Date.now() - saved.savedAt > MAX_SAVED_AGE_MS) {
+    return null;
+  }
+  return saved;
+};
+
+// Forgets the user's saved checkout, e.g. once the order is placed
+export const clearSavedCheckout = (userId) => AsyncStorage.removeItem(getStorageKey(userId));
+
+// Saves the order on the device to be sent once it's back online
+const queueOrder = async (order) => {
+  await enqueueOrder(order);
+  processQueue();
+};
+
+// Places `order` (what placeOrder takes, without paymentMethod and status) with the payment provider, then
+// lets the provider take the payment. Orders the provider can queue are saved on the device when it's offline
+// or the connection drops while sending. Resolves to what happened, for the screen to tell the shopper:
+//   { result: 'blocked', error }   checkout can't be sent yet; `error` says what's missing
+//   { result: 'queued', orderId }  saved on the device
+//   { result: 'placed', orderId, screen, settled, pointsRedeemed, pointsEarned, replayed }
+//                                  see the provider's confirm() for `screen` and `settled`
+//   { result: 'refused', error }   the order wasn't placed, e.g. a product sold out; `error.code` says why
+//   { result: 'failed', error }    anything else went wrong
+// Checkout ends up in 'done', or in 'error' for refused and failed orders.
+const submitOrder = async ({ goTo, fail }, provider, order, { online = true } = {}) => {
+  const blocked = goTo('submitting');
+  if (blocked) {
+    return { result: 'blocked', error: blocked };
+  }
+
+  const queue = async () => {
+    await queueOrder({ ...order, paymentMethod: provider.id });
+    goTo('done');
+    return { result: 'queued', orderId: order.orderId };
+  };
+
+  try {
+    if (!online) {
+      return await queue();
+    }
+
+    let placed;
+    try {
+      placed = await provider.create(order);
+    } catch (error) {
+      console.error("Error placing order: ", error);
+      if (isNetworkError(error) && provider.canQueueOffline) {
+        return await queue();
+      }
+      fail(error.message);
+      return { result: 'refused', error };
+    }
+
+    const { screen, settled } = await provider.confirm(placed.orderId);
+    goTo('done');
+    return { result: 'placed', ...placed, screen, settled };
+  } catch (error) {
+    console.error("Checkout error: ", error);
+    fail(error.message);
+    return { result: 'failed', error };
+  }
+};
+
+// Checkout state for the signed-in user, restored from the device when there's saved progress.
+// `restored` is false until the saved progress has been read, and nothing is saved before then.
+export const useCheckout = (userId) => {
+  const [state, dispatch] = useReducer(checkoutReducer, undefined, () => createCheckoutState(createOrderId()));
+  const [restored, setRestored] = useState(false);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+    let active = true;
+    readSavedCheckout(userId)
+      .then(saved => {
+        if (active && saved) {
+          dispatch({ type: 'restore', saved });
+        }
+      })
+      .catch(error => console.error("Error restoring checkout: ", error))
+      .finally(() => {
+        if (active) {
+          setRestored(true);
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId || !restored) {
+      return;
+    }
+    const saving = state.status === 'done'
+      ? clearSavedCheckout(userId)
+      : AsyncStorage.setItem(getStorageKey(userId), JSON.stringify({
+        status: state.status,
+        selections: state.selections,
+        completed: state.completed,
+        checkoutId: state.checkoutId,
+        attemptSent: state.attemptSent,
+        savedAt: Date.now(),
+      }));
+    saving.catch(error => console.error("Error saving checkout: ", error));
+  }, [userId, restored, state.status, state.selections, state.completed, state.checkoutId, state.attemptSent]);
+
+  // These only use stateRef and dispatch, so they stay the same functions on every render
+  const actions = useMemo(() => {
+    // Keeps stateRef ahead of the next render, so several calls in one handler each see the one before
+    const send = (action) => {
+      stateRef.current = checkoutReducer(stateRef.current, action);
+      dispatch(action);
+    };
+
+    // Moves to `to` and returns null, or returns why it can't without moving
+    const goTo = (to) => {
+      const error = getCheckoutTransitionError(stateRef.current, to);
+      if (!error) {
+        send({ type: 'go', to });
+      }
+      return error;
+    };
+
+    const fail = (error) => send({ type: 'fail', error });
+
+    return {
+      update: (fields) => send({ type: 'update', fields, nextCheckoutId: createOrderId() }),
+      goTo,
+      canGoTo: (to) => !getCheckoutTransitionError(stateRef.current, to),
+      next: () => goTo(getNextCheckoutStep(stateRef.current.status, stateRef.current.selections)),
+      // Returns true if the back press was handled: checkout went back a step, or the order is being sent
+      // and there's no leaving until it's placed or failed. False if there's no step to go back to.
+      back: () => {
+        if (stateRef.current.status === 'submitting') {
+          return true;
+        }
+        const previous = getPreviousCheckoutStep(stateRef.current.status, stateRef.current.selections);
+        return Boolean(previous) && !goTo(previous);
+      },
+      fail,
+      submit: (provider, order, options) => submitOrder({ goTo, fail }, provider, order, options),
+      renewCheckoutId: () => send({ type: 'renewCheckoutId', checkoutId: createOrderId() }),
+    };
+  }, []);
+
+  return { ...state, restored, ...actions };
+};